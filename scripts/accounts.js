@@ -0,0 +1,239 @@
+/**
+ * GitHub Accounts
+ * Registry of signed-in accounts, per-account storage namespaces and the account switcher
+ */
+
+const ACCOUNTS_KEY = 'accounts';
+const ACTIVE_ACCOUNT_KEY = 'active_account';
+const COMBINED_VIEW_KEY = 'combined_view';
+
+/**
+ * Get the ID of an account
+ * @param {string} host - GitHub host
+ * @param {string} login - User login on that host
+ * @returns {string} Account ID (e.g., "github.com/octocat")
+ */
+function getAccountId(host, login) {
+    return `${normalizeGitHubHost(host)}/${login}`;
+}
+
+/**
+ * Read the account registry kept in one storage
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {Array} Account objects
+ */
+function readAccountRegistry(storage) {
+    try {
+        return JSON.parse(storage.getItem(ACCOUNTS_KEY)) || [];
+    } catch (e) {
+        console.error('Failed to parse accounts:', e);
+        return [];
+    }
+}
+
+/**
+ * Write the account registry kept in one storage
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @param {Array} accounts - Account objects
+ */
+function writeAccountRegistry(storage, accounts) {
+    if (accounts.length === 0) {
+        storage.removeItem(ACCOUNTS_KEY);
+    } else {
+        storage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    }
+}
+
+/**
+ * Get all signed-in accounts. "Remember me" accounts live in localStorage,
+ * session-only accounts in sessionStorage.
+ * @returns {Array} Account objects ({ id, host, login, name, avatar_url, storage, added_at })
+ */
+function getAccounts() {
+    return [...readAccountRegistry(localStorage), ...readAccountRegistry(sessionStorage)];
+}
+
+/**
+ * Get an account by ID
+ * @param {string} accountId - Account ID
+ * @returns {Object|null} Account object or null if not found
+ */
+function getAccount(accountId) {
+    return getAccounts().find(account => account.id === accountId) || null;
+}
+
+/**
+ * Get the ID of the active account. The choice is per tab, falling back to the
+ * last account chosen in any tab, then to the first account.
+ * @returns {string|null} Account ID or null if no account is signed in
+ */
+function getActiveAccountId() {
+    const accounts = getAccounts();
+    const activeId = sessionStorage.getItem(ACTIVE_ACCOUNT_KEY) || localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+
+    if (accounts.some(account => account.id === activeId)) {
+        return activeId;
+    }
+
+    return accounts.length > 0 ? accounts[0].id : null;
+}
+
+/**
+ * Get the active account
+ * @returns {Object|null} Account object or null if no account is signed in
+ */
+function getActiveAccount() {
+    const accountId = getActiveAccountId();
+    return accountId ? getAccount(accountId) : null;
+}
+
+/**
+ * Make an account the active one
+ * @param {string} accountId - Account ID
+ */
+function setActiveAccount(accountId) {
+    sessionStorage.setItem(ACTIVE_ACCOUNT_KEY, accountId);
+    localStorage.setItem(ACTIVE_ACCOUNT_KEY, accountId);
+}
+
+/**
+ * Add (or re-add) an account to the registry and make it active
+ * @param {Object} profile - { host, login, name, avatar_url }
+ * @param {string} storageType - 'local' or 'session'
+ * @returns {string} Account ID
+ */
+function registerAccount(profile, storageType) {
+    const accountId = getAccountId(profile.host, profile.login);
+    const storage = storageType === 'local' ? localStorage : sessionStorage;
+
+    // An account is registered in exactly one storage
+    unregisterAccount(accountId);
+
+    const accounts = readAccountRegistry(storage);
+    accounts.push({
+        id: accountId,
+        host: normalizeGitHubHost(profile.host),
+        login: profile.login,
+        name: profile.name || profile.login,
+        avatar_url: profile.avatar_url,
+        storage: storageType,
+        added_at: new Date().toISOString()
+    });
+    writeAccountRegistry(storage, accounts);
+
+    setActiveAccount(accountId);
+    return accountId;
+}
+
+/**
+ * Remove an account from the registry. Its tracked repos and settings are kept
+ * so they come back if the same account signs in again.
+ * @param {string} accountId - Account ID
+ */
+function unregisterAccount(accountId) {
+    [localStorage, sessionStorage].forEach(storage => {
+        const accounts = readAccountRegistry(storage);
+        writeAccountRegistry(storage, accounts.filter(account => account.id !== accountId));
+
+        if (storage.getItem(ACTIVE_ACCOUNT_KEY) === accountId) {
+            storage.removeItem(ACTIVE_ACCOUNT_KEY);
+        }
+    });
+}
+
+/**
+ * Get the storage holding an account's data
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Storage} localStorage or sessionStorage
+ */
+function getAccountStorage(accountId = getActiveAccountId()) {
+    const account = accountId ? getAccount(accountId) : null;
+    return account && account.storage === 'session' ? sessionStorage : localStorage;
+}
+
+/**
+ * Get the namespaced storage key for an account's data
+ * @param {string} key - Storage key (e.g., 'tracked_repos')
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {string} Namespaced key (e.g., "github.com/octocat:tracked_repos")
+ */
+function getAccountKey(key, accountId = getActiveAccountId()) {
+    return accountId ? `${accountId}:${key}` : key;
+}
+
+/**
+ * Check whether the dashboard merges tracked repos from every account
+ * @returns {boolean} True if the combined view is on and there is more than one account
+ */
+function isCombinedView() {
+    return localStorage.getItem(COMBINED_VIEW_KEY) === 'true' && getAccounts().length > 1;
+}
+
+/**
+ * Turn the combined view on or off
+ * @param {boolean} enabled - True to merge tracked repos from every account
+ */
+function setCombinedView(enabled) {
+    localStorage.setItem(COMBINED_VIEW_KEY, enabled ? 'true' : 'false');
+}
+
+/**
+ * Get a short label identifying an account
+ * @param {Object} account - Account object
+ * @returns {string} Label (e.g., "@octocat" or "@octocat (github.example.com)")
+ */
+function formatAccountLabel(account) {
+    return isEnterpriseHost(account.host) ? `@${account.login} (${account.host})` : `@${account.login}`;
+}
+
+// ==================== Account Switcher ====================
+
+/**
+ * Fill the account switcher with the signed-in accounts
+ * @param {HTMLSelectElement} switcher - Account switcher element
+ */
+function renderAccountSwitcher(switcher) {
+    const accounts = getAccounts();
+    const activeId = getActiveAccountId();
+    const combined = isCombinedView();
+
+    switcher.innerHTML = `
+        ${accounts.map(account => `
+            <option value="${account.id}" ${!combined && account.id === activeId ? 'selected' : ''}>
+                ${formatAccountLabel(account)}
+            </option>
+        `).join('')}
+        ${accounts.length > 1 ? `<option value="__combined" ${combined ? 'selected' : ''}>All accounts</option>` : ''}
+        <option value="__add">+ Add account...</option>
+    `;
+}
+
+/**
+ * Populate the account switcher and handle switching, combining and adding accounts
+ * @param {Function} onChange - Called after the active account or combined view changes
+ */
+function initAccountSwitcher(onChange) {
+    const switcher = document.getElementById('account-switcher');
+
+    if (!switcher) {
+        return;
+    }
+
+    renderAccountSwitcher(switcher);
+
+    switcher.addEventListener('change', () => {
+        if (switcher.value === '__add') {
+            window.location.href = 'auth.html?add=1';
+            return;
+        }
+
+        if (switcher.value === '__combined') {
+            setCombinedView(true);
+        } else {
+            setCombinedView(false);
+            setActiveAccount(switcher.value);
+        }
+
+        onChange();
+    });
+}
@@ -4,14 +4,40 @@
  */
 
 // Constants
-const GITHUB_API_BASE = 'https://api.github.com';
 const STORAGE_KEY_PAT = 'github_pat';
 
+// Signing in another account from the dashboard's account switcher
+const isAddingAccount = new URLSearchParams(window.location.search).get('add') === '1';
+
+// 'pat' or 'device'
+let authMode = 'pat';
+
+// Cancels device-flow polling
+let deviceFlowController = null;
+
 // DOM Elements
 const form = document.getElementById('auth-form');
+const hostInput = document.getElementById('host-input');
+const tokenSettingsLink = document.getElementById('token-settings-link');
 const patInput = document.getElementById('pat-input');
 const submitButton = document.getElementById('submit-button');
 const errorMessage = document.getElementById('error-message');
+const patFields = document.getElementById('pat-fields');
+const deviceFields = document.getElementById('device-fields');
+const clientIdInput = document.getElementById('client-id-input');
+const proxyInput = document.getElementById('proxy-input');
+const deviceCodePanel = document.getElementById('device-code-panel');
+const deviceUserCode = document.getElementById('device-user-code');
+const deviceVerificationLink = document.getElementById('device-verification-link');
+const deviceCancelButton = document.getElementById('device-cancel-button');
+const vaultCheckbox = document.getElementById('vault-checkbox');
+const vaultFields = document.getElementById('vault-fields');
+const passphraseInput = document.getElementById('passphrase-input');
+const passphraseConfirmInput = document.getElementById('passphrase-confirm-input');
+const autoLockSelect = document.getElementById('auto-lock-select');
+const capabilityReport = document.getElementById('capability-report');
+const capabilityReportList = document.getElementById('capability-report-list');
+const continueButton = document.getElementById('continue-button');
 const toggleVisibility = document.getElementById('toggle-visibility');
 const eyeIcon = document.getElementById('eye-icon');
 
@@ -20,11 +46,35 @@ const eyeIcon = document.getElementById('eye-icon');
  */
 function init() {
     // Check if user is already authenticated
-    checkExistingAuth();
+    if (!isAddingAccount) {
+        checkExistingAuth();
+        onSyncChange(SYNC_TOPICS.ACCOUNTS, followSignInElsewhere);
+    }
 
     // Setup event listeners
     form.addEventListener('submit', handleSubmit);
     toggleVisibility.addEventListener('click', handleToggleVisibility);
+    hostInput.addEventListener('input', updateTokenSettingsLink);
+    continueButton.addEventListener('click', () => {
+        window.location.href = 'dashboard.html';
+    });
+    document.querySelectorAll('.auth-mode-tab').forEach(tab => {
+        tab.addEventListener('click', () => setAuthMode(tab.dataset.mode));
+    });
+    deviceCancelButton.addEventListener('click', cancelDeviceFlow);
+    vaultCheckbox.addEventListener('change', () => {
+        vaultFields.style.display = vaultCheckbox.checked ? '' : 'none';
+    });
+    autoLockSelect.value = getVaultSettings().auto_lock_minutes.toString();
+
+    // Pre-fill the device-flow settings used last time
+    const oauthConfig = getOAuthConfig();
+    clientIdInput.value = oauthConfig.client_id;
+    proxyInput.value = oauthConfig.proxy_url;
+
+    // Pre-fill the host used last time
+    hostInput.value = getStoredHost();
+    updateTokenSettingsLink();
 
     // Auto-focus on PAT input
     patInput.focus();
@@ -34,6 +84,12 @@ function init() {
  * Check if user already has a valid token stored
  */
 async function checkExistingAuth() {
+    // A passphrase-locked token is unlocked on the dashboard
+    if (isVaultEnabled()) {
+        window.location.href = 'dashboard.html';
+        return;
+    }
+
     const existingPat = getStoredPAT();
 
     if (existingPat) {
@@ -53,6 +109,35 @@ async function checkExistingAuth() {
     }
 }
 
+/**
+ * Continue to the dashboard when another tab signs in, unless this tab is
+ * in the middle of signing in itself
+ */
+function followSignInElsewhere() {
+    if (getActiveAccount() && !submitButton.disabled && !deviceFlowController) {
+        window.location.href = 'dashboard.html';
+    }
+}
+
+/**
+ * Switch between pasting a PAT and signing in through the device flow
+ * @param {string} mode - 'pat' or 'device'
+ */
+function setAuthMode(mode) {
+    authMode = mode;
+    cancelDeviceFlow();
+    hideError();
+
+    document.querySelectorAll('.auth-mode-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+
+    patFields.style.display = mode === 'pat' ? '' : 'none';
+    deviceFields.style.display = mode === 'device' ? '' : 'none';
+    patInput.required = mode === 'pat';
+    showLoading(false);
+}
+
 /**
  * Handle form submission
  */
@@ -60,9 +145,24 @@ async function handleSubmit(event) {
     event.preventDefault();
 
     hideError();
+
+    // Check the passphrase before any sign-in work
+    try {
+        getVaultPassphrase();
+    } catch (error) {
+        handleAuthError(error);
+        return;
+    }
+
+    if (authMode === 'device') {
+        await handleDeviceSignIn();
+        return;
+    }
+
     showLoading(true);
 
     const pat = patInput.value.trim();
+    const host = normalizeGitHubHost(hostInput.value);
     const storageType = document.querySelector('input[name="storage"]:checked').value;
 
     if (!pat) {
@@ -71,44 +171,125 @@ async function handleSubmit(event) {
         return;
     }
 
-    // Validate token format (GitHub PATs start with ghp_, gho_, etc.)
-    if (!pat.match(/^(ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9_]{36,}$/)) {
-        showError('Invalid token format. GitHub Personal Access Tokens should start with "ghp_" and be followed by at least 36 characters.');
+    // Validate token format (classic tokens start with ghp_, gho_, etc.; fine-grained tokens with github_pat_)
+    if (!pat.match(/^((ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9_]{36,}|github_pat_[A-Za-z0-9_]{22,})$/)) {
+        showError('Invalid token format. GitHub Personal Access Tokens start with "ghp_" (classic) or "github_pat_" (fine-grained).');
         showLoading(false);
         return;
     }
 
     try {
-        // Validate PAT with GitHub API
-        const userData = await validatePAT(pat);
+        await completeSignIn(pat, host, storageType, { type: 'pat' });
+    } catch (error) {
+        handleAuthError(error);
+        showLoading(false);
+    }
+}
 
-        if (userData) {
-            // Store the PAT
-            storePAT(pat, storageType);
+/**
+ * Sign in through the OAuth device flow: show the user code and wait for approval
+ */
+async function handleDeviceSignIn() {
+    const host = normalizeGitHubHost(hostInput.value);
+    const storageType = document.querySelector('input[name="storage"]:checked').value;
+    const config = { client_id: clientIdInput.value, proxy_url: proxyInput.value };
 
-            // Store user info
-            storeUserInfo(userData, storageType);
+    if (!isOAuthConfigured(config)) {
+        showError('Please enter the OAuth app client ID and the proxy URL.');
+        return;
+    }
 
-            // Redirect to dashboard
-            window.location.href = 'dashboard.html';
-        } else {
-            showError('Failed to validate token. Please check your token and try again.');
-            showLoading(false);
-        }
+    storeOAuthConfig(config);
+    const oauthConfig = getOAuthConfig();
+
+    showLoading(true);
+    deviceFlowController = new AbortController();
+
+    try {
+        const deviceCode = await requestDeviceCode(oauthConfig);
+
+        deviceUserCode.textContent = deviceCode.user_code;
+        deviceVerificationLink.href = deviceCode.verification_uri;
+        deviceVerificationLink.textContent = deviceCode.verification_uri;
+        deviceCodePanel.style.display = 'block';
+        submitButton.textContent = 'Waiting for authorization...';
+
+        const tokenResponse = await pollForDeviceToken(deviceCode, oauthConfig, deviceFlowController.signal);
+        deviceCodePanel.style.display = 'none';
+
+        await completeSignIn(tokenResponse.access_token, host, storageType, createOAuthMethod(tokenResponse, oauthConfig));
     } catch (error) {
-        handleAuthError(error);
+        deviceCodePanel.style.display = 'none';
+        if (error.message !== 'CANCELLED') {
+            handleAuthError(error);
+        }
+        showLoading(false);
+    } finally {
+        deviceFlowController = null;
+    }
+}
+
+/**
+ * Stop waiting for device-flow approval
+ */
+function cancelDeviceFlow() {
+    if (deviceFlowController) {
+        deviceFlowController.abort();
+    }
+}
+
+/**
+ * Validate a token, register its account and show what the token can do.
+ * PATs and device-flow tokens both end up here.
+ * @param {string} token - Access token
+ * @param {string} host - GitHub host the token belongs to
+ * @param {string} storageType - 'local' or 'session'
+ * @param {Object} authMethod - How the token was obtained ({ type: 'pat' } or an OAuth method record)
+ */
+async function completeSignIn(token, host, storageType, authMethod) {
+    // Validate token with GitHub API
+    const userData = await validatePAT(token, host);
+
+    if (!userData) {
+        showError('Failed to validate token. Please check your token and try again.');
         showLoading(false);
+        return;
     }
+
+    // Find out which features the token supports
+    submitButton.textContent = 'Checking permissions...';
+    const capabilities = await probeTokenCapabilities(token, host);
+
+    // Register the account (host + login) and make it active
+    const accountId = registerAccount({ ...userData, host }, storageType);
+
+    // Store the token (encrypted if a passphrase was chosen), user info,
+    // capabilities and auth method in the account's namespace
+    const passphrase = getVaultPassphrase();
+    if (passphrase) {
+        submitButton.textContent = 'Encrypting token...';
+        await enableVault(token, passphrase, accountId);
+        updateVaultSettings({ auto_lock_minutes: parseInt(autoLockSelect.value) });
+    } else {
+        storePAT(token, accountId);
+    }
+    storeUserInfo(userData, accountId);
+    storeTokenCapabilities(capabilities, accountId);
+    storeAuthMethod(authMethod, accountId);
+    broadcastChange(SYNC_TOPICS.ACCOUNTS, accountId);
+
+    showCapabilityReport(capabilities);
 }
 
 /**
  * Validate PAT by calling GitHub API /user endpoint
  * @param {string} pat - Personal Access Token
+ * @param {string} host - GitHub host the token belongs to (defaults to the stored host)
  * @returns {Object|null} User data if valid, null otherwise
  */
-async function validatePAT(pat) {
+async function validatePAT(pat, host = getStoredHost()) {
     try {
-        const response = await fetch(`${GITHUB_API_BASE}/user`, {
+        const response = await fetch(`${getAPIBase(host)}/user`, {
             headers: {
                 'Authorization': `token ${pat}`,
                 'Accept': 'application/vnd.github.v3+json'
@@ -118,12 +299,6 @@ async function validatePAT(pat) {
         if (response.ok) {
             const userData = await response.json();
 
-            // Verify required scopes
-            const scopes = response.headers.get('X-OAuth-Scopes');
-            if (!validateScopes(scopes)) {
-                throw new Error('INSUFFICIENT_SCOPES');
-            }
-
             return {
                 login: userData.login,
                 name: userData.name || userData.login,
@@ -138,8 +313,7 @@ async function validatePAT(pat) {
             throw new Error('API_ERROR');
         }
     } catch (error) {
-        if (error.message === 'INSUFFICIENT_SCOPES' ||
-            error.message === 'INVALID_TOKEN' ||
+        if (error.message === 'INVALID_TOKEN' ||
             error.message === 'RATE_LIMIT' ||
             error.message === 'API_ERROR') {
             throw error;
@@ -150,68 +324,89 @@ async function validatePAT(pat) {
 }
 
 /**
- * Validate that the token has required scopes
- * @param {string} scopes - Comma-separated list of scopes
- * @returns {boolean} True if all required scopes are present
+ * Get the passphrase chosen for locking the token
+ * @returns {string|null} Passphrase, or null if the token isn't to be locked
+ * @throws {Error} PASSPHRASE_TOO_SHORT or PASSPHRASE_MISMATCH
  */
-function validateScopes(scopes) {
-    if (!scopes) return false;
+function getVaultPassphrase() {
+    if (!vaultCheckbox.checked) {
+        return null;
+    }
 
-    const scopeList = scopes.split(',').map(s => s.trim());
-    const requiredScopes = ['repo', 'read:user', 'read:org'];
+    const passphrase = passphraseInput.value;
 
-    // Check if token has repo scope (this gives access to everything we need)
-    if (scopeList.includes('repo')) {
-        return true;
+    if (passphrase.length < 8) {
+        throw new Error('PASSPHRASE_TOO_SHORT');
     }
 
-    // Otherwise check for individual scopes
-    return requiredScopes.every(required => {
-        // Handle scope prefixes (e.g., 'read:user' matches 'user' or 'read:user')
-        return scopeList.some(scope =>
-            scope === required ||
-            scope === required.split(':')[1] ||
-            scope.startsWith(required.split(':')[1])
-        );
-    });
+    if (passphrase !== passphraseConfirmInput.value) {
+        throw new Error('PASSPHRASE_MISMATCH');
+    }
+
+    return passphrase;
+}
+
+/**
+ * Show what the new token can and cannot do before continuing to the dashboard
+ * @param {Object} capabilities - Result of probeTokenCapabilities()
+ */
+function showCapabilityReport(capabilities) {
+    capabilityReportList.innerHTML = renderCapabilityReport(capabilities);
+    form.style.display = 'none';
+    capabilityReport.style.display = 'block';
+    continueButton.focus();
 }
 
 /**
  * Store PAT in browser storage
  * @param {string} pat - Personal Access Token
- * @param {string} storageType - 'local' or 'session'
+ * @param {string} accountId - Account the token belongs to
  */
-function storePAT(pat, storageType) {
-    const storage = storageType === 'local' ? localStorage : sessionStorage;
-    storage.setItem(STORAGE_KEY_PAT, pat);
+function storePAT(pat, accountId) {
+    getAccountStorage(accountId).setItem(getAccountKey(STORAGE_KEY_PAT, accountId), pat);
 }
 
 /**
  * Store user information
  * @param {Object} userData - User data from GitHub API
- * @param {string} storageType - 'local' or 'session'
+ * @param {string} accountId - Account the user info belongs to
  */
-function storeUserInfo(userData, storageType) {
-    const storage = storageType === 'local' ? localStorage : sessionStorage;
-    storage.setItem('user_info', JSON.stringify(userData));
+function storeUserInfo(userData, accountId) {
+    getAccountStorage(accountId).setItem(getAccountKey('user_info', accountId), JSON.stringify(userData));
 }
 
 /**
- * Get stored PAT from browser storage
+ * Get stored PAT of the active account
  * @returns {string|null} PAT if found, null otherwise
  */
 function getStoredPAT() {
-    return localStorage.getItem(STORAGE_KEY_PAT) || sessionStorage.getItem(STORAGE_KEY_PAT);
+    const accountId = getActiveAccountId();
+    return accountId ? getAccountStorage(accountId).getItem(getAccountKey(STORAGE_KEY_PAT, accountId)) : null;
 }
 
 /**
- * Clear stored PAT from all storage
+ * Clear stored PAT of the active account and sign it out
  */
 function clearStoredPAT() {
-    localStorage.removeItem(STORAGE_KEY_PAT);
-    sessionStorage.removeItem(STORAGE_KEY_PAT);
-    localStorage.removeItem('user_info');
-    sessionStorage.removeItem('user_info');
+    const accountId = getActiveAccountId();
+
+    if (!accountId) {
+        return;
+    }
+
+    const storage = getAccountStorage(accountId);
+    storage.removeItem(getAccountKey(STORAGE_KEY_PAT, accountId));
+    storage.removeItem(getAccountKey('user_info', accountId));
+    unregisterAccount(accountId);
+    broadcastChange(SYNC_TOPICS.ACCOUNTS, accountId);
+}
+
+/**
+ * Point the token creation link at the entered host
+ */
+function updateTokenSettingsLink() {
+    const host = normalizeGitHubHost(hostInput.value);
+    tokenSettingsLink.href = `${getWebBase(host)}/settings/tokens/new`;
 }
 
 /**
@@ -225,18 +420,33 @@ function handleAuthError(error) {
         case 'INVALID_TOKEN':
             errorMsg = 'Invalid token. Please check your Personal Access Token and try again. Make sure you copied the entire token.';
             break;
-        case 'INSUFFICIENT_SCOPES':
-            errorMsg = 'Insufficient permissions. Please create a new token with the required scopes: <code>repo</code>, <code>read:user</code>, and <code>read:org</code>.';
-            break;
         case 'RATE_LIMIT':
             errorMsg = 'GitHub API rate limit exceeded. Please wait a moment and try again.';
             break;
         case 'NETWORK_ERROR':
-            errorMsg = 'Network error. Please check your internet connection and try again.';
+            errorMsg = 'Network error. Please check your internet connection and the GitHub host, then try again.';
             break;
         case 'API_ERROR':
             errorMsg = 'GitHub API error. Please try again later.';
             break;
+        case 'OAUTH_ERROR':
+            errorMsg = 'Sign-in failed. Please check the client ID and proxy URL and try again.';
+            break;
+        case 'DEVICE_FLOW_DISABLED':
+            errorMsg = 'Device flow is not enabled for this OAuth app. Enable it in the app\'s settings on GitHub.';
+            break;
+        case 'DEVICE_CODE_EXPIRED':
+            errorMsg = 'The sign-in code expired. Please start again.';
+            break;
+        case 'ACCESS_DENIED':
+            errorMsg = 'Sign-in was cancelled on GitHub.';
+            break;
+        case 'PASSPHRASE_TOO_SHORT':
+            errorMsg = 'Your passphrase must be at least 8 characters long.';
+            break;
+        case 'PASSPHRASE_MISMATCH':
+            errorMsg = 'The passphrases don\'t match.';
+            break;
         default:
             errorMsg = 'An unexpected error occurred. Please try again.';
     }
@@ -273,7 +483,7 @@ function showLoading(loading) {
         submitButton.textContent = 'Validating...';
     } else {
         submitButton.classList.remove('loading');
-        submitButton.textContent = 'Validate & Continue';
+        submitButton.textContent = authMode === 'device' ? 'Sign in with GitHub' : 'Validate & Continue';
     }
 }
 
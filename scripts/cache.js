@@ -0,0 +1,443 @@
+/**
+ * API Response Cache
+ * IndexedDB store of cached API responses, one record per resource and account,
+ * with size accounting and least-recently-used eviction under a byte budget.
+ * Small settings stay in localStorage (see storage.js).
+ */
+
+const CACHE_DB_NAME = 'multi-repo-dashboard';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'api_cache';
+
+const CACHE_BUDGET_KEY = 'cache_budget';
+const DEFAULT_CACHE_BUDGET = 50 * 1024 * 1024; // bytes
+
+// Last-access times are only rewritten this often, to keep reads cheap
+const CACHE_TOUCH_INTERVAL = 60 * 1000; // milliseconds
+
+let cacheDBPromise = null;
+
+// Total size of all entries in bytes, or null until first counted
+let cacheBytes = null;
+
+// Used instead of IndexedDB when it is unavailable (e.g., some private browsing modes)
+let memoryCache = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Open the cache database, creating and migrating it on first use
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openCacheDB() {
+    if (!cacheDBPromise) {
+        cacheDBPromise = (async () => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB unavailable, caching API responses in memory');
+                memoryCache = new Map();
+                return null;
+            }
+
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+                store.createIndex('account', 'account');
+                store.createIndex('last_accessed', 'last_accessed');
+            };
+
+            try {
+                const db = await promisifyRequest(request);
+                await migrateLocalStorageCache(db);
+                return db;
+            } catch (error) {
+                console.warn('Failed to open cache database, caching API responses in memory:', error);
+                memoryCache = new Map();
+                return null;
+            }
+        })();
+    }
+
+    return cacheDBPromise;
+}
+
+/**
+ * Move cache blobs left in localStorage/sessionStorage into IndexedDB
+ * @param {IDBDatabase} db - Cache database
+ */
+async function migrateLocalStorageCache(db) {
+    for (const account of getAccounts()) {
+        const storage = getAccountStorage(account.id);
+        const storageKey = getAccountKey(STORAGE_KEYS.CACHE, account.id);
+        const cacheStr = storage.getItem(storageKey);
+
+        if (!cacheStr) {
+            continue;
+        }
+
+        try {
+            const cache = JSON.parse(cacheStr);
+            const transaction = db.transaction(CACHE_STORE, 'readwrite');
+            const store = transaction.objectStore(CACHE_STORE);
+
+            Object.entries(cache).forEach(([cacheKey, entry]) => {
+                store.put(createCacheRecord(cacheKey, account.id, entry));
+            });
+
+            await promisifyTransaction(transaction);
+        } catch (e) {
+            console.error('Failed to migrate cache for', account.id, e);
+        }
+
+        storage.removeItem(storageKey);
+    }
+}
+
+/**
+ * Build a cache record
+ * @param {string} cacheKey - Cache key within the account
+ * @param {string} accountId - Account ID
+ * @param {Object} entry - { data, expires, timestamp, etag, last_modified, link }
+ * @returns {Object} Record as stored in IndexedDB
+ */
+function createCacheRecord(cacheKey, accountId, entry) {
+    return {
+        ...entry,
+        key: `${accountId}:${cacheKey}`,
+        account: accountId,
+        cache_key: cacheKey,
+        size: JSON.stringify(entry.data === undefined ? null : entry.data).length * 2, // UTF-16 bytes
+        last_accessed: Date.now()
+    };
+}
+
+/**
+ * Read a record by its full key
+ * @param {string} key - Record key (`${accountId}:${cacheKey}`)
+ * @returns {Promise<Object|undefined>} Record
+ */
+async function readCacheRecord(key) {
+    const db = await openCacheDB();
+
+    if (!db) {
+        return memoryCache.get(key);
+    }
+
+    return promisifyRequest(db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(key));
+}
+
+/**
+ * Write a record, keeping the running size total up to date
+ * @param {Object} record - Cache record
+ */
+async function writeCacheRecord(record) {
+    const db = await openCacheDB();
+    await countCacheBytes();
+
+    let previousSize = 0;
+
+    if (!db) {
+        const previous = memoryCache.get(record.key);
+        previousSize = previous ? previous.size : 0;
+        memoryCache.set(record.key, record);
+    } else {
+        const transaction = db.transaction(CACHE_STORE, 'readwrite');
+        const store = transaction.objectStore(CACHE_STORE);
+        const getRequest = store.get(record.key);
+
+        // Read and replace within one transaction
+        getRequest.onsuccess = () => {
+            previousSize = getRequest.result ? getRequest.result.size : 0;
+            store.put(record);
+        };
+
+        await promisifyTransaction(transaction);
+    }
+
+    // A concurrent delete may have reset the total for recounting
+    if (cacheBytes !== null) {
+        cacheBytes += record.size - previousSize;
+    }
+}
+
+/**
+ * Delete records by their full keys
+ * @param {Array<string>} keys - Record keys
+ */
+async function deleteCacheRecords(keys) {
+    if (keys.length === 0) {
+        return;
+    }
+
+    const db = await openCacheDB();
+
+    if (!db) {
+        keys.forEach(key => memoryCache.delete(key));
+        cacheBytes = null;
+        return;
+    }
+
+    const transaction = db.transaction(CACHE_STORE, 'readwrite');
+    const store = transaction.objectStore(CACHE_STORE);
+    keys.forEach(key => store.delete(key));
+    await promisifyTransaction(transaction);
+
+    // Recount lazily on the next write
+    cacheBytes = null;
+}
+
+/**
+ * Visit records one at a time, so the whole cache is never held in memory
+ * @param {Function} visit - Called with each record; return false to stop
+ * @param {string} indexName - Optional index to iterate in order of (e.g., 'last_accessed')
+ */
+async function forEachCacheRecord(visit, indexName = null) {
+    const db = await openCacheDB();
+
+    if (!db) {
+        const records = [...memoryCache.values()];
+        if (indexName) {
+            records.sort((a, b) => (a[indexName] > b[indexName]) - (a[indexName] < b[indexName]));
+        }
+        for (const record of records) {
+            if (visit(record) === false) {
+                return;
+            }
+        }
+        return;
+    }
+
+    const store = db.transaction(CACHE_STORE).objectStore(CACHE_STORE);
+    const request = (indexName ? store.index(indexName) : store).openCursor();
+
+    await new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || visit(cursor.value) === false) {
+                resolve();
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Count the total size of the cache if it isn't known yet
+ * @returns {Promise<number>} Total size in bytes
+ */
+async function countCacheBytes() {
+    if (cacheBytes === null) {
+        let total = 0;
+        await forEachCacheRecord(record => {
+            total += record.size || 0;
+        });
+        cacheBytes = total;
+    }
+
+    return cacheBytes;
+}
+
+// ==================== Budget & Eviction ====================
+
+/**
+ * Get the cache size budget
+ * @returns {number} Budget in bytes
+ */
+function getCacheBudget() {
+    const budget = parseInt(localStorage.getItem(CACHE_BUDGET_KEY));
+    return budget > 0 ? budget : DEFAULT_CACHE_BUDGET;
+}
+
+/**
+ * Set the cache size budget, evicting entries if the cache is now over it
+ * @param {number} bytes - Budget in bytes
+ */
+async function setCacheBudget(bytes) {
+    localStorage.setItem(CACHE_BUDGET_KEY, Math.round(bytes).toString());
+    await enforceCacheBudget();
+}
+
+/**
+ * Evict least recently used entries until the cache fits its budget
+ */
+async function enforceCacheBudget() {
+    const budget = getCacheBudget();
+    let total = await countCacheBytes();
+
+    if (total <= budget) {
+        return;
+    }
+
+    // Oldest access first
+    const evicted = [];
+    await forEachCacheRecord(record => {
+        if (total <= budget) {
+            return false;
+        }
+        evicted.push(record.key);
+        total -= record.size || 0;
+    }, 'last_accessed');
+
+    await deleteCacheRecords(evicted);
+    cacheBytes = total;
+}
+
+/**
+ * Get cache usage, for display
+ * @returns {Promise<Object>} { entries, bytes, budget }
+ */
+async function getCacheStats() {
+    const stats = { entries: 0, bytes: 0, budget: getCacheBudget() };
+
+    await forEachCacheRecord(record => {
+        stats.entries++;
+        stats.bytes += record.size || 0;
+    });
+
+    return stats;
+}
+
+// ==================== Cache Access ====================
+
+/**
+ * Get raw cache entry, including expired entries and their validators
+ * @param {string} key - Cache key
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Promise<Object|null>} Cache entry ({ data, expires, timestamp, etag, last_modified, link }) or null
+ */
+async function getCacheEntry(key, accountId = getActiveAccountId()) {
+    const record = await readCacheRecord(`${accountId}:${key}`);
+
+    if (!record) {
+        return null;
+    }
+
+    // Mark as recently used for LRU eviction
+    if (Date.now() - record.last_accessed > CACHE_TOUCH_INTERVAL) {
+        record.last_accessed = Date.now();
+        writeCacheRecord(record).catch(error => console.warn('Failed to update cache access time:', error));
+    }
+
+    return record;
+}
+
+/**
+ * Get cached value
+ * @param {string} key - Cache key
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Promise<any>} Cached value or null if not found or expired
+ */
+async function getCachedValue(key, accountId = getActiveAccountId()) {
+    const entry = await getCacheEntry(key, accountId);
+
+    if (!entry) {
+        return null;
+    }
+
+    // Check if expired
+    if (entry.expires && Date.now() > entry.expires) {
+        return null;
+    }
+
+    return entry.data;
+}
+
+/**
+ * Set cached value with TTL
+ * @param {string} key - Cache key
+ * @param {any} data - Data to cache
+ * @param {number} ttlMinutes - Time to live in minutes
+ * @param {Object} validators - Optional response validators ({ etag, last_modified }) and pagination link
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+async function setCachedValue(key, data, ttlMinutes, validators = {}, accountId = getActiveAccountId()) {
+    const entry = {
+        data,
+        expires: Date.now() + (ttlMinutes * 60 * 1000),
+        timestamp: Date.now()
+    };
+
+    if (validators.etag) {
+        entry.etag = validators.etag;
+    }
+
+    if (validators.last_modified) {
+        entry.last_modified = validators.last_modified;
+    }
+
+    if (validators.link) {
+        entry.link = validators.link;
+    }
+
+    await writeCacheRecord(createCacheRecord(key, accountId, entry));
+    await enforceCacheBudget();
+}
+
+/**
+ * Remove cached value
+ * @param {string} key - Cache key
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+async function removeCachedValue(key, accountId = getActiveAccountId()) {
+    await deleteCacheRecords([`${accountId}:${key}`]);
+}
+
+/**
+ * Clear expired cache entries of every account
+ */
+async function clearStaleCache() {
+    const now = Date.now();
+    const stale = [];
+
+    await forEachCacheRecord(record => {
+        if (record.expires && record.expires <= now) {
+            stale.push(record.key);
+        }
+    });
+
+    await deleteCacheRecords(stale);
+}
+
+/**
+ * Clear all cache entries of an account
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+async function clearAllCache(accountId = getActiveAccountId()) {
+    const db = await openCacheDB();
+
+    if (!db) {
+        await deleteCacheRecords([...memoryCache.values()]
+            .filter(record => record.account === accountId)
+            .map(record => record.key));
+        return;
+    }
+
+    const index = db.transaction(CACHE_STORE).objectStore(CACHE_STORE).index('account');
+    const keys = await promisifyRequest(index.getAllKeys(IDBKeyRange.only(accountId)));
+    await deleteCacheRecords(keys);
+}
@@ -0,0 +1,232 @@
+/**
+ * Token Capabilities
+ * Probes what a token can actually do, so classic and fine-grained tokens are
+ * judged by their access rather than by the scopes they advertise
+ */
+
+const TOKEN_CAPABILITIES_KEY = 'token_capabilities';
+
+const CAPABILITY_GRANTED = 'granted';
+const CAPABILITY_DENIED = 'denied';
+const CAPABILITY_UNKNOWN = 'unknown';
+
+// Features that depend on token access, in report order. Informational ones
+// are reported, but no dashboard feature is hidden without them.
+const TOKEN_CAPABILITIES = [
+    {
+        id: 'organizations',
+        label: 'List organizations',
+        feature: 'Organizations and their repositories'
+    },
+    {
+        id: 'private_repos',
+        label: 'Read private repositories',
+        feature: 'Private repositories in the repository list',
+        informational: true
+    },
+    {
+        id: 'commits',
+        label: 'Read commits',
+        feature: 'Latest commits on repository cards'
+    },
+    {
+        id: 'issues',
+        label: 'Read issues',
+        feature: 'Open issue counts'
+    },
+    {
+        id: 'pull_requests',
+        label: 'Read pull requests',
+        feature: 'Open pull request counts'
+    },
+    {
+        id: 'actions',
+        label: 'Read Actions',
+        feature: 'GitHub Actions workflow runs',
+        informational: true
+    }
+];
+
+/**
+ * Check whether a token is a fine-grained personal access token
+ * @param {string} pat - Personal Access Token
+ * @returns {boolean} True for github_pat_ tokens
+ */
+function isFineGrainedToken(pat) {
+    return pat.startsWith('github_pat_');
+}
+
+/**
+ * Map a probe response to a capability status
+ * @param {Response|null} response - Probe response, or null if the request failed
+ * @returns {string} CAPABILITY_GRANTED, CAPABILITY_DENIED or CAPABILITY_UNKNOWN
+ */
+function getProbeStatus(response) {
+    if (!response) {
+        return CAPABILITY_UNKNOWN;
+    }
+
+    // 409 is an empty repository: readable, just nothing in it
+    if (response.ok || response.status === 409) {
+        return CAPABILITY_GRANTED;
+    }
+
+    // Fine-grained tokens get 403 for a missing permission and 404 for a repository outside their selection
+    if (response.status === 401 || response.status === 403 || response.status === 404) {
+        return CAPABILITY_DENIED;
+    }
+
+    return CAPABILITY_UNKNOWN;
+}
+
+/**
+ * Probe which dashboard features a token supports. Repository-level features
+ * are probed against the token's most recently updated repository.
+ * @param {string} pat - Personal Access Token
+ * @param {string} host - GitHub host the token belongs to
+ * @returns {Promise<Object>} { checked_at, fine_grained, results } where results maps capability ID to status
+ */
+async function probeTokenCapabilities(pat, host = getStoredHost()) {
+    const probe = endpoint => fetch(`${getAPIBase(host)}${endpoint}`, {
+        headers: {
+            'Authorization': `token ${pat}`,
+            'Accept': 'application/vnd.github.v3+json'
+        }
+    }).catch(() => null);
+
+    const [orgsResponse, privateResponse, reposResponse] = await Promise.all([
+        probe('/user/orgs?per_page=1'),
+        probe('/user/repos?visibility=private&per_page=1'),
+        probe('/user/repos?sort=updated&per_page=1')
+    ]);
+
+    const results = {
+        organizations: getProbeStatus(orgsResponse)
+    };
+
+    // Listing succeeds even without access; only a private repo in the list proves it,
+    // and an empty list may just mean the user has none
+    if (privateResponse && privateResponse.ok) {
+        const privateRepos = await privateResponse.json();
+        results.private_repos = privateRepos.length > 0 ? CAPABILITY_GRANTED : CAPABILITY_UNKNOWN;
+    } else {
+        results.private_repos = getProbeStatus(privateResponse);
+    }
+
+    const repos = reposResponse && reposResponse.ok ? await reposResponse.json() : [];
+    const sampleRepo = repos.length > 0 ? repos[0].full_name : null;
+
+    if (sampleRepo) {
+        const [commitsResponse, issuesResponse, pullsResponse, actionsResponse] = await Promise.all([
+            probe(`/repos/${sampleRepo}/commits?per_page=1`),
+            probe(`/repos/${sampleRepo}/issues?per_page=1`),
+            probe(`/repos/${sampleRepo}/pulls?per_page=1`),
+            probe(`/repos/${sampleRepo}/actions/runs?per_page=1`)
+        ]);
+
+        results.commits = getProbeStatus(commitsResponse);
+        results.issues = getProbeStatus(issuesResponse);
+        results.pull_requests = getProbeStatus(pullsResponse);
+        results.actions = getProbeStatus(actionsResponse);
+    } else {
+        // Nothing to probe against
+        results.commits = CAPABILITY_UNKNOWN;
+        results.issues = CAPABILITY_UNKNOWN;
+        results.pull_requests = CAPABILITY_UNKNOWN;
+        results.actions = CAPABILITY_UNKNOWN;
+    }
+
+    return {
+        checked_at: new Date().toISOString(),
+        fine_grained: isFineGrainedToken(pat),
+        sample_repo: sampleRepo,
+        results
+    };
+}
+
+/**
+ * Store the probed capabilities of an account's token
+ * @param {Object} capabilities - Result of probeTokenCapabilities()
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+function storeTokenCapabilities(capabilities, accountId = getActiveAccountId()) {
+    getAccountStorage(accountId).setItem(getAccountKey(TOKEN_CAPABILITIES_KEY, accountId), JSON.stringify(capabilities));
+}
+
+/**
+ * Get the probed capabilities of an account's token
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Object|null} Stored capabilities or null if never probed
+ */
+function getTokenCapabilities(accountId = getActiveAccountId()) {
+    if (!accountId) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(getAccountStorage(accountId).getItem(getAccountKey(TOKEN_CAPABILITIES_KEY, accountId)));
+    } catch (e) {
+        console.error('Failed to parse token capabilities:', e);
+        return null;
+    }
+}
+
+/**
+ * Check whether a feature is supported by an account's token. Features are
+ * only hidden when a probe showed they are denied, never when unknown.
+ * @param {string} capabilityId - Capability ID (e.g., 'organizations')
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {boolean} False only if the token is known to lack access
+ */
+function hasCapability(capabilityId, accountId = getActiveAccountId()) {
+    const capabilities = getTokenCapabilities(accountId);
+    return !capabilities || capabilities.results[capabilityId] !== CAPABILITY_DENIED;
+}
+
+/**
+ * Get the capabilities a token is known to lack that dashboard features depend on
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Array} Capability definitions from TOKEN_CAPABILITIES
+ */
+function getDeniedCapabilities(accountId = getActiveAccountId()) {
+    return TOKEN_CAPABILITIES.filter(capability => !capability.informational && !hasCapability(capability.id, accountId));
+}
+
+/**
+ * Render a per-feature report of what a token can and cannot do
+ * @param {Object} capabilities - Result of probeTokenCapabilities()
+ * @returns {string} HTML list
+ */
+function renderCapabilityReport(capabilities) {
+    const icons = {
+        [CAPABILITY_GRANTED]: '✅',
+        [CAPABILITY_DENIED]: '❌',
+        [CAPABILITY_UNKNOWN]: '❔'
+    };
+
+    const notes = {
+        [CAPABILITY_GRANTED]: '',
+        [CAPABILITY_DENIED]: 'hidden on the dashboard',
+        [CAPABILITY_UNKNOWN]: 'could not be checked'
+    };
+
+    return `
+        <ul class="capability-list">
+            ${TOKEN_CAPABILITIES.map(capability => {
+                const status = capabilities.results[capability.id] || CAPABILITY_UNKNOWN;
+                const note = capability.informational && status === CAPABILITY_DENIED
+                    ? 'not used by the dashboard yet'
+                    : notes[status];
+                return `
+                    <li class="capability-item ${status}">
+                        <span class="capability-icon">${icons[status]}</span>
+                        <span class="capability-label">
+                            <strong>${capability.label}</strong>
+                            <span class="capability-feature">${capability.feature}${note ? ` - ${note}` : ''}</span>
+                        </span>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
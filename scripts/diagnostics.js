@@ -0,0 +1,220 @@
+/**
+ * Storage Diagnostics
+ * Lists everything the dashboard keeps in Web Storage and the API cache, with
+ * the feature each entry belongs to and how fresh it is, for the diagnostics
+ * panel. Entries can be purged one at a time, or all at once except what
+ * signing in needs.
+ */
+
+// Feature each storage key (without its account prefix) belongs to.
+// `timestampKey` holds when the entry last changed; `ttl` is how long it stays fresh.
+const STORAGE_KEY_FEATURES = {
+    [ACCOUNTS_KEY]: { feature: 'Accounts' },
+    [ACTIVE_ACCOUNT_KEY]: { feature: 'Accounts' },
+    [COMBINED_VIEW_KEY]: { feature: 'Accounts' },
+    [STORAGE_KEYS.PAT]: { feature: 'Sign-in' },
+    [AUTH_METHOD_KEY]: { feature: 'Sign-in' },
+    [OAUTH_CONFIG_KEY]: { feature: 'Sign-in' },
+    [ENCRYPTED_TOKEN_KEY]: { feature: 'Passphrase lock' },
+    [VAULT_SETTINGS_KEY]: { feature: 'Passphrase lock' },
+    [TOKEN_CAPABILITIES_KEY]: { feature: 'Token capabilities' },
+    [SCHEMA_VERSION_KEY]: { feature: 'Schema migrations' },
+    [STORAGE_KEYS.USER_INFO]: { feature: 'Profile' },
+    [STORAGE_KEYS.ORGANIZATIONS]: {
+        feature: 'Organizations',
+        timestampKey: STORAGE_KEYS.ORGANIZATIONS_TIMESTAMP,
+        ttl: ORGANIZATIONS_CACHE_TTL
+    },
+    [STORAGE_KEYS.ORGANIZATIONS_TIMESTAMP]: {
+        feature: 'Organizations',
+        timestampKey: STORAGE_KEYS.ORGANIZATIONS_TIMESTAMP,
+        ttl: ORGANIZATIONS_CACHE_TTL
+    },
+    [STORAGE_KEYS.TRACKED_REPOS]: { feature: 'Tracked repositories', timestampKey: STORAGE_KEYS.DATA_UPDATED_AT },
+    [STORAGE_KEYS.DASHBOARD_SETTINGS]: { feature: 'Dashboard settings', timestampKey: STORAGE_KEYS.DATA_UPDATED_AT },
+    [STORAGE_KEYS.DATA_UPDATED_AT]: { feature: 'Gist backup', timestampKey: STORAGE_KEYS.DATA_UPDATED_AT },
+    [STORAGE_KEYS.LAST_REFRESH]: { feature: 'Dashboard', timestampKey: STORAGE_KEYS.LAST_REFRESH },
+    [METRIC_HISTORY_KEY]: { feature: 'Metric history' },
+    [GIST_SYNC_KEY]: { feature: 'Gist backup' },
+    [GIST_API_BASE_KEY]: { feature: 'Gist backup' },
+    [CACHE_BUDGET_KEY]: { feature: 'API cache' },
+    [PENDING_SHARE_LINK_KEY]: { feature: 'Share links' }
+};
+
+// Feature each API cache entry belongs to, by cache key prefix
+const CACHE_KEY_FEATURES = [
+    { prefix: 'conditional_', feature: 'Conditional requests' },
+    { prefix: 'repositories_all', feature: 'Repository selection' },
+    { prefix: 'repo_details_', feature: 'Repository cards' },
+    { prefix: 'repo_card_', feature: 'Repository activity' }
+];
+
+// Kept by resetAllExceptToken(): what signing in needs, and the schema
+// version, since whatever is kept is already current
+const TOKEN_STORAGE_KEYS = [
+    ACCOUNTS_KEY,
+    ACTIVE_ACCOUNT_KEY,
+    STORAGE_KEYS.PAT,
+    AUTH_METHOD_KEY,
+    OAUTH_CONFIG_KEY,
+    ENCRYPTED_TOKEN_KEY,
+    VAULT_SETTINGS_KEY,
+    SCHEMA_VERSION_KEY
+];
+
+const UNKNOWN_FEATURE = 'Unknown';
+
+/**
+ * Split a storage key into its account and the key within the account
+ * @param {string} key - Storage key (e.g., "github.com/octocat:tracked_repos")
+ * @returns {Object} { accountId, name }; accountId is null for global keys
+ */
+function splitStorageKey(key) {
+    const separator = key.lastIndexOf(':');
+
+    if (separator === -1) {
+        return { accountId: null, name: key };
+    }
+
+    return { accountId: key.slice(0, separator), name: key.slice(separator + 1) };
+}
+
+/**
+ * Check whether a storage key holds sign-in data
+ * @param {string} key - Storage key
+ * @returns {boolean} True if resetAllExceptToken() keeps it
+ */
+function isTokenStorageKey(key) {
+    return TOKEN_STORAGE_KEYS.includes(splitStorageKey(key).name);
+}
+
+/**
+ * Get the keys of a storage
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {Array<string>} Keys
+ */
+function getStorageKeys(storage) {
+    const keys = [];
+
+    for (let i = 0; i < storage.length; i++) {
+        keys.push(storage.key(i));
+    }
+
+    return keys;
+}
+
+/**
+ * Describe every item in localStorage and sessionStorage
+ * @returns {Array<Object>} { area, key, accountId, name, feature, size, updated_at, expires_at }
+ *                          Times are timestamps, or null where not known
+ */
+function listStorageEntries() {
+    const areas = [
+        { area: 'local', storage: localStorage },
+        { area: 'session', storage: sessionStorage }
+    ];
+
+    return areas.flatMap(({ area, storage }) => getStorageKeys(storage).map(key => {
+        const { accountId, name } = splitStorageKey(key);
+        const info = STORAGE_KEY_FEATURES[name] || { feature: UNKNOWN_FEATURE };
+
+        let updatedAt = null;
+        if (info.timestampKey) {
+            const timestampKey = accountId ? getAccountKey(info.timestampKey, accountId) : info.timestampKey;
+            updatedAt = parseInt(storage.getItem(timestampKey)) || null;
+        }
+
+        return {
+            area,
+            key,
+            accountId,
+            name,
+            feature: info.feature,
+            size: getStorageItemSize(key, storage.getItem(key)),
+            updated_at: updatedAt,
+            expires_at: updatedAt && info.ttl ? updatedAt + info.ttl : null
+        };
+    }));
+}
+
+/**
+ * Describe every API cache entry of every account
+ * @returns {Promise<Array<Object>>} { key, accountId, name, feature, size, updated_at, expires_at, last_accessed }
+ */
+async function listCacheEntries() {
+    const entries = [];
+
+    await forEachCacheRecord(record => {
+        const match = CACHE_KEY_FEATURES.find(({ prefix }) => record.cache_key.startsWith(prefix));
+
+        entries.push({
+            key: record.key,
+            accountId: record.account,
+            name: record.cache_key,
+            feature: match ? match.feature : UNKNOWN_FEATURE,
+            size: record.size || 0,
+            updated_at: record.timestamp || null,
+            expires_at: record.expires || null,
+            last_accessed: record.last_accessed || null
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Tell other tabs about a removed item they may be showing
+ * @param {string} key - Storage key
+ */
+function broadcastStorageRemoval(key) {
+    const { accountId, name } = splitStorageKey(key);
+
+    // Topics are named after the keys they cover
+    if (accountId && (name === SYNC_TOPICS.TRACKED_REPOS || name === SYNC_TOPICS.DASHBOARD_SETTINGS)) {
+        broadcastChange(name, accountId);
+    }
+}
+
+/**
+ * Remove one item from localStorage or sessionStorage
+ * @param {string} area - 'local' or 'session'
+ * @param {string} key - Storage key
+ * @throws {Error} PROTECTED_KEY for sign-in data, which signing out removes instead
+ */
+function purgeStorageEntry(area, key) {
+    if (isTokenStorageKey(key)) {
+        throw new Error('PROTECTED_KEY');
+    }
+
+    (area === 'session' ? sessionStorage : localStorage).removeItem(key);
+    broadcastStorageRemoval(key);
+}
+
+/**
+ * Remove one API cache entry
+ * @param {string} key - Record key (`${accountId}:${cacheKey}`)
+ */
+async function purgeCacheEntry(key) {
+    await deleteCacheRecords([key]);
+}
+
+/**
+ * Remove all stored data and cached responses of every account, keeping only
+ * what signing in needs, so the dashboard starts over without signing out
+ */
+async function resetAllExceptToken() {
+    [localStorage, sessionStorage].forEach(storage => {
+        getStorageKeys(storage)
+            .filter(key => !isTokenStorageKey(key))
+            .forEach(key => {
+                storage.removeItem(key);
+                broadcastStorageRemoval(key);
+            });
+    });
+
+    const cacheKeys = [];
+    await forEachCacheRecord(record => {
+        cacheKeys.push(record.key);
+    });
+    await deleteCacheRecords(cacheKeys);
+}
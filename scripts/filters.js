@@ -0,0 +1,341 @@
+/**
+ * Dashboard Filters
+ * Search, filter and sort state of the dashboard toolbar. The state is
+ * mirrored into the URL query string (e.g., ?q=api&org=acme,octo&sort=stars)
+ * so a filtered view can be bookmarked and shared; anything left at its
+ * default is omitted. The default sort, and how repositories are grouped
+ * into sections (DASHBOARD_GROUPS), come from the dashboard settings.
+ *
+ * Filters and sorts work on items of the form { repo, details, activity }:
+ * the tracked repository, its details from the API (null until loaded) and
+ * its activity from fetchTrackedRepoCardData() (null until loaded or if the
+ * token can't read it).
+ *
+ * Pages load this after history.js, whose DAY_MS it uses for the
+ * last-updated ranges.
+ */
+
+// Last-updated ranges: within the past `days`, or (`older`) not within them
+const UPDATED_RANGES = {
+    week: { label: 'Past week', days: 7 },
+    month: { label: 'Past month', days: 30 },
+    quarter: { label: 'Past 3 months', days: 90 },
+    year: { label: 'Past year', days: 365 },
+    stale: { label: 'Over a year ago', days: 365, older: true }
+};
+
+// Sort keys, the order each sorts in by default, and the value sorted on
+// (null when not known yet; such repositories go last)
+const DASHBOARD_SORTS = {
+    updated: { label: 'Last updated', order: 'desc', value: ({ details }) => details ? Date.parse(details.updated_at) : null },
+    name: { label: 'Name', order: 'asc', value: ({ repo }) => repo.name.toLowerCase() },
+    created: { label: 'Created', order: 'desc', value: ({ details }) => details ? Date.parse(details.created_at) : null },
+    stars: { label: 'Stars', order: 'desc', value: ({ details }) => details ? details.stargazers_count : null },
+    issues: { label: 'Open issues', order: 'desc', value: getOpenIssuesCount },
+    owner: { label: 'Owner', order: 'asc', value: ({ repo }) => repo.owner.toLowerCase() },
+    language: { label: 'Language', order: 'asc', value: ({ details }) => details && details.language ? details.language.toLowerCase() : null },
+    forks: { label: 'Forks', order: 'desc', value: ({ details }) => details ? details.forks_count : null },
+    prs: { label: 'Open PRs', order: 'desc', value: ({ activity }) => activity && !activity.error ? activity.open_prs_count : null },
+    commit: {
+        label: 'Last commit',
+        order: 'desc',
+        value: ({ activity }) => activity && activity.last_commit ? Date.parse(activity.last_commit.date) : null
+    }
+};
+
+// Ways to group repositories into sections. `keys` names the sections a
+// repository belongs to (several for several tags); null is the catch-all
+// section, shown last under `other`.
+const DASHBOARD_GROUPS = {
+    tag: {
+        label: 'Tag',
+        other: 'Untagged',
+        keys: ({ repo }) => Array.isArray(repo.tags) && repo.tags.length > 0 ? repo.tags : [null]
+    },
+    org: {
+        label: 'Organization',
+        other: 'Personal',
+        keys: ({ repo }) => [repo.owner_type === 'Organization' ? repo.owner : null]
+    },
+    language: {
+        label: 'Language',
+        other: 'No language',
+        keys: ({ details }) => [details && details.language ? details.language : null]
+    },
+    owner_type: {
+        label: 'Owner type',
+        other: 'Personal',
+        keys: ({ repo }) => [repo.owner_type === 'Organization' ? 'Organizations' : null]
+    }
+};
+
+const OWNER_TYPE_PARAMS = {
+    user: 'User',
+    org: 'Organization'
+};
+
+const DEFAULT_DASHBOARD_FILTERS = {
+    q: '',
+    owner_type: '',
+    orgs: [],
+    language: '',
+    has_issues: false,
+    has_prs: false,
+    updated: '',
+    // null follows the dashboard settings
+    sort: null,
+    order: null
+};
+
+/**
+ * Get a repository's open issue count, without pull requests where known
+ * @param {Object} item - { repo, details, activity }
+ * @returns {number|null} Count, or null if not known yet
+ */
+function getOpenIssuesCount({ details, activity }) {
+    if (activity && !activity.error && activity.open_issues_count !== null) {
+        return activity.open_issues_count;
+    }
+
+    // The REST count includes open pull requests
+    return details ? details.open_issues_count : null;
+}
+
+/**
+ * Get the sort used when the URL doesn't name one
+ * @param {Object} settings - Dashboard settings
+ * @returns {Object} { sort, order }
+ */
+function getDefaultDashboardSort(settings) {
+    const sort = DASHBOARD_SORTS[settings.default_sort] ? settings.default_sort : DEFAULT_DASHBOARD_SETTINGS.default_sort;
+    const order = ['asc', 'desc'].includes(settings.default_sort_order)
+        ? settings.default_sort_order
+        : DASHBOARD_SORTS[sort].order;
+
+    return { sort, order };
+}
+
+/**
+ * Get the sort in effect
+ * @param {Object} filters - Filter state
+ * @param {Object} settings - Dashboard settings
+ * @returns {Object} { sort, order }
+ */
+function getEffectiveDashboardSort(filters, settings) {
+    const defaults = getDefaultDashboardSort(settings);
+    const sort = filters.sort || defaults.sort;
+    // A sort picked in the toolbar without an order uses its natural order
+    const order = filters.order || (filters.sort ? DASHBOARD_SORTS[sort].order : defaults.order);
+
+    return { sort, order };
+}
+
+/**
+ * Read toolbar state from a query string, ignoring unknown values
+ * @param {string} search - Query string (e.g., window.location.search)
+ * @returns {Object} Filter state
+ */
+function parseDashboardFilters(search) {
+    const params = new URLSearchParams(search);
+    const list = name => (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+    const has = list('has');
+
+    return {
+        ...DEFAULT_DASHBOARD_FILTERS,
+        q: (params.get('q') || '').trim(),
+        owner_type: OWNER_TYPE_PARAMS[params.get('owner')] || '',
+        orgs: [...new Set(list('org'))],
+        language: (params.get('lang') || '').trim(),
+        has_issues: has.includes('issues'),
+        has_prs: has.includes('prs'),
+        updated: UPDATED_RANGES[params.get('updated')] ? params.get('updated') : '',
+        sort: DASHBOARD_SORTS[params.get('sort')] ? params.get('sort') : null,
+        order: ['asc', 'desc'].includes(params.get('order')) ? params.get('order') : null
+    };
+}
+
+/**
+ * Write toolbar state into a query string, keeping unrelated parameters
+ * @param {Object} filters - Filter state
+ * @param {string} search - Current query string
+ * @returns {string} Query string, with its leading '?' if not empty
+ */
+function serializeDashboardFilters(filters, search = '') {
+    const params = new URLSearchParams(search);
+    const ownerParam = Object.keys(OWNER_TYPE_PARAMS).find(key => OWNER_TYPE_PARAMS[key] === filters.owner_type);
+    const has = [filters.has_issues && 'issues', filters.has_prs && 'prs'].filter(Boolean);
+
+    const values = {
+        q: filters.q,
+        owner: ownerParam,
+        org: filters.orgs.join(','),
+        lang: filters.language,
+        has: has.join(','),
+        updated: filters.updated,
+        sort: filters.sort,
+        order: filters.order
+    };
+
+    Object.entries(values).forEach(([name, value]) => {
+        if (value) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
+        }
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Check whether any filter (not counting the sort) is set
+ * @param {Object} filters - Filter state
+ * @returns {boolean} True if some repositories may be hidden
+ */
+function hasActiveDashboardFilters(filters) {
+    return Boolean(filters.q || filters.owner_type || filters.orgs.length > 0 || filters.language ||
+        filters.has_issues || filters.has_prs || filters.updated);
+}
+
+/**
+ * Check whether a repository passes the filters. Filters on details or
+ * activity not loaded yet don't pass, so repositories only show once they
+ * are known to match.
+ * @param {Object} item - { repo, details, activity }
+ * @param {Object} filters - Filter state
+ * @param {number} now - Current time, for the last-updated range
+ * @returns {boolean} True if the repository should be shown
+ */
+function matchesDashboardFilters(item, filters, now = Date.now()) {
+    const { repo, details, activity } = item;
+
+    if (filters.q && !repo.full_name.toLowerCase().includes(filters.q.toLowerCase())) {
+        return false;
+    }
+
+    if (filters.owner_type && repo.owner_type !== filters.owner_type) {
+        return false;
+    }
+
+    if (filters.orgs.length > 0 && !filters.orgs.some(org => org.toLowerCase() === repo.owner.toLowerCase())) {
+        return false;
+    }
+
+    if (filters.language && (!details || (details.language || '').toLowerCase() !== filters.language.toLowerCase())) {
+        return false;
+    }
+
+    if (filters.has_issues && !(getOpenIssuesCount(item) > 0)) {
+        return false;
+    }
+
+    if (filters.has_prs && !(activity && !activity.error && activity.open_prs_count > 0)) {
+        return false;
+    }
+
+    if (filters.updated) {
+        const range = UPDATED_RANGES[filters.updated];
+        if (!details) {
+            return false;
+        }
+
+        const recent = now - Date.parse(details.updated_at) <= range.days * DAY_MS;
+        if (recent === Boolean(range.older)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Sort repositories by the toolbar's sort
+ * @param {Array<Object>} items - { repo, details, activity } items (not modified)
+ * @param {Object} filters - Filter state
+ * @param {Object} settings - Dashboard settings, for the default sort
+ * @returns {Array<Object>} Sorted copy; ties keep their tracked order
+ */
+function sortDashboardItems(items, filters, settings) {
+    const { sort, order } = getEffectiveDashboardSort(filters, settings);
+    const direction = order === 'asc' ? 1 : -1;
+    const valueOf = DASHBOARD_SORTS[sort].value;
+
+    return items
+        .map((item, index) => ({ item, index, value: valueOf(item) }))
+        .sort((a, b) => {
+            const aUnknown = a.value === null || Number.isNaN(a.value);
+            const bUnknown = b.value === null || Number.isNaN(b.value);
+
+            if (aUnknown || bUnknown) {
+                return aUnknown === bUnknown ? a.index - b.index : (aUnknown ? 1 : -1);
+            }
+
+            if (a.value !== b.value) {
+                return (a.value < b.value ? -1 : 1) * direction;
+            }
+            return a.index - b.index;
+        })
+        .map(({ item }) => item);
+}
+
+/**
+ * Get the keys of the sections a repository is grouped into
+ * @param {Object} item - { repo, details, activity }
+ * @param {string} groupBy - Key of DASHBOARD_GROUPS
+ * @returns {Array<string>} Section keys, compared ignoring case; '' for the catch-all section
+ */
+function getDashboardGroupKeys(item, groupBy) {
+    return [...new Set(DASHBOARD_GROUPS[groupBy].keys(item).map(key => key === null ? '' : key.toLowerCase()))];
+}
+
+/**
+ * Group repositories into sections
+ * @param {Array<Object>} items - { repo, details, activity } items (not modified)
+ * @param {string} groupBy - Key of DASHBOARD_GROUPS
+ * @returns {Array<Object>} { key, title, items } sections sorted by title, with
+ *                          the catch-all section last; items keep their order
+ */
+function groupDashboardItems(items, groupBy) {
+    const group = DASHBOARD_GROUPS[groupBy];
+    const sections = new Map();
+
+    items.forEach(item => {
+        group.keys(item).forEach(name => {
+            const key = name === null ? '' : name.toLowerCase();
+            if (!sections.has(key)) {
+                // The first spelling seen names the section
+                sections.set(key, { key, title: name === null ? group.other : name, items: [] });
+            }
+
+            const section = sections.get(key);
+            if (!section.items.includes(item)) {
+                section.items.push(item);
+            }
+        });
+    });
+
+    return [...sections.values()].sort((a, b) => {
+        if (!a.key || !b.key) {
+            return a.key ? -1 : (b.key ? 1 : 0);
+        }
+        return a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+    });
+}
+
+/**
+ * Add up the open issues and pull requests of a section's repositories
+ * @param {Array<Object>} items - { repo, details, activity } items
+ * @returns {Object} { issues, prs }; each null while no repository's count is known
+ */
+function getDashboardGroupTotals(items) {
+    const sum = counts => {
+        const known = counts.filter(count => typeof count === 'number');
+        return known.length > 0 ? known.reduce((total, count) => total + count, 0) : null;
+    };
+
+    return {
+        issues: sum(items.map(getOpenIssuesCount)),
+        prs: sum(items.map(({ activity }) => activity && !activity.error ? activity.open_prs_count : null))
+    };
+}
@@ -0,0 +1,267 @@
+/**
+ * Gist Backup
+ * Backs up tracked repositories (with their notes and tags) and dashboard
+ * settings to a private Gist owned by the signed-in user, and restores them on
+ * other machines. When both sides changed, the newer one wins: the Gist's
+ * `exported_at` is compared with the time local data last changed.
+ *
+ * For testing, Gist requests can be pointed at a local mock of the Gist
+ * endpoints by setting `gist_api_base` in localStorage (e.g., to
+ * "http://localhost:8787"). Only localhost addresses are accepted, and the
+ * mock never receives the token (see githubAPI()).
+ */
+
+const GIST_SYNC_KEY = 'gist_sync';
+const GIST_API_BASE_KEY = 'gist_api_base';
+const GIST_FILENAME = 'multi-repo-dashboard.json';
+const GIST_DESCRIPTION = 'Multi-Repo Dashboard backup';
+
+// Hosts a Gist mock may run on
+const GIST_MOCK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// How long local data must stay unchanged before it is pushed automatically
+const GIST_PUSH_DELAY = 10 * 1000;
+
+const DEFAULT_GIST_SYNC = {
+    enabled: false,
+    gist_id: null,
+    gist_url: null,
+    last_synced_at: null
+};
+
+/**
+ * Get the base URL for Gist requests
+ * @returns {string} Mock URL if configured on localhost, otherwise the account's REST API base
+ */
+function getGistAPIBase() {
+    const mockBase = localStorage.getItem(GIST_API_BASE_KEY);
+
+    if (mockBase) {
+        try {
+            if (GIST_MOCK_HOSTS.includes(new URL(mockBase).hostname)) {
+                return mockBase.replace(/\/+$/, '');
+            }
+        } catch (e) {
+            // Not a URL; ignored below
+        }
+        console.warn(`Ignoring ${GIST_API_BASE_KEY}: Gist mocks must run on localhost`);
+    }
+
+    return getAPIBase();
+}
+
+/**
+ * Get the active account's Gist backup state
+ * @returns {Object} { enabled, gist_id, gist_url, last_synced_at }
+ */
+function getGistSync() {
+    try {
+        const stored = JSON.parse(getActiveStorage().getItem(getAccountKey(GIST_SYNC_KEY)));
+        return { ...DEFAULT_GIST_SYNC, ...stored };
+    } catch (e) {
+        console.error('Failed to parse Gist sync state:', e);
+        return { ...DEFAULT_GIST_SYNC };
+    }
+}
+
+/**
+ * Update the active account's Gist backup state
+ * @param {Object} updates - Fields to update
+ */
+function updateGistSync(updates) {
+    safeSetItem(getAccountKey(GIST_SYNC_KEY), JSON.stringify({ ...getGistSync(), ...updates }));
+}
+
+/**
+ * Build the backup contents: the export without account-bound data, which is
+ * fetched again from GitHub anyway
+ * @returns {Object} Backup payload
+ */
+function createGistPayload() {
+    const data = exportData();
+
+    return {
+        version: data.version,
+        schema_version: data.schema_version,
+        exported_at: data.exported_at,
+        tracked_repos: data.tracked_repos,
+        dashboard_settings: data.dashboard_settings
+    };
+}
+
+/**
+ * Find the backup Gist of the signed-in user
+ * @returns {Promise<Object|null>} Gist summary or null if there is none
+ */
+async function findBackupGist() {
+    const { gist_id: gistId } = getGistSync();
+
+    if (gistId) {
+        try {
+            return await githubAPI(`${getGistAPIBase()}/gists/${gistId}`);
+        } catch (error) {
+            // Deleted on GitHub; look for another below
+            if (!(error instanceof NotFoundError)) {
+                throw error;
+            }
+        }
+    }
+
+    const isBackup = item => Boolean(item.files && item.files[GIST_FILENAME]);
+    const gists = await fetchAllPages(`${getGistAPIBase()}/gists`, {}, {
+        stopWhen: pageItems => pageItems.some(isBackup)
+    });
+    const gist = gists.find(isBackup) || null;
+
+    updateGistSync({ gist_id: gist ? gist.id : null, gist_url: gist ? gist.html_url : null });
+    return gist;
+}
+
+/**
+ * Read the backup stored in a Gist
+ * @param {Object} gist - Gist summary or full Gist
+ * @returns {Promise<Object>} Backup payload
+ * @throws {Error} INVALID_BACKUP if the file isn't a dashboard export
+ */
+async function readGistPayload(gist) {
+    // Listings omit file contents, and large files are truncated
+    let file = gist.files[GIST_FILENAME];
+    if (file.content === undefined) {
+        const fullGist = await githubAPI(`${getGistAPIBase()}/gists/${gist.id}`);
+        file = fullGist.files[GIST_FILENAME];
+    }
+
+    try {
+        const content = file.truncated ? await (await fetch(file.raw_url)).text() : file.content;
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error('INVALID_BACKUP');
+    }
+}
+
+/**
+ * Write local data to the backup Gist, creating it if needed
+ * @param {Object|null} existing - Backup Gist if already looked up
+ * @returns {Promise<Object>} Pushed payload
+ */
+async function pushToGist(existing = undefined) {
+    if (existing === undefined) {
+        existing = await findBackupGist();
+    }
+
+    const updatedAt = getDataUpdatedAt();
+    const payload = createGistPayload();
+    const gistBody = {
+        description: GIST_DESCRIPTION,
+        files: {
+            [GIST_FILENAME]: { content: JSON.stringify(payload, null, 2) }
+        }
+    };
+    const headers = { 'Content-Type': 'application/json' };
+
+    const gist = existing
+        ? await githubAPI(`${getGistAPIBase()}/gists/${existing.id}`, {
+            method: 'PATCH',
+            headers,
+            body: JSON.stringify(gistBody)
+        })
+        : await githubAPI(`${getGistAPIBase()}/gists`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ ...gistBody, public: false })
+        });
+
+    // Local data is now exactly what the Gist holds, unless it changed during the push
+    if (getDataUpdatedAt() === updatedAt) {
+        setDataUpdatedAt(Date.parse(payload.exported_at));
+    }
+    updateGistSync({ gist_id: gist.id, gist_url: gist.html_url, last_synced_at: payload.exported_at });
+
+    return payload;
+}
+
+/**
+ * Replace local tracked repositories and settings with the backup
+ * @returns {Promise<Object>} Pulled payload
+ * @throws {Error} NO_BACKUP if there is no backup Gist, INVALID_BACKUP if it can't be imported
+ */
+async function pullFromGist() {
+    const gist = await findBackupGist();
+
+    if (!gist) {
+        throw new Error('NO_BACKUP');
+    }
+
+    const payload = await readGistPayload(gist);
+    restoreGistPayload(gist, payload);
+
+    return payload;
+}
+
+/**
+ * Apply a backup read from the Gist
+ * @param {Object} gist - Backup Gist
+ * @param {Object} payload - Backup payload
+ * @throws {Error} INVALID_BACKUP if it can't be imported
+ */
+function restoreGistPayload(gist, payload) {
+    if (!importData(payload, 'replace')) {
+        throw new Error('INVALID_BACKUP');
+    }
+
+    // Stamp local data with the backup's time, so it doesn't look newer and get pushed back
+    setDataUpdatedAt(Date.parse(payload.exported_at) || Date.now());
+    updateGistSync({ gist_id: gist.id, gist_url: gist.html_url, last_synced_at: payload.exported_at });
+}
+
+/**
+ * Bring the Gist and local data in step, in whichever direction is newer
+ * @returns {Promise<string>} 'pushed', 'pulled' or 'up_to_date'
+ */
+async function syncWithGist() {
+    const gist = await findBackupGist();
+
+    if (!gist) {
+        await pushToGist(null);
+        return 'pushed';
+    }
+
+    const payload = await readGistPayload(gist);
+    const remoteTime = Date.parse(payload.exported_at) || 0;
+    const localTime = getDataUpdatedAt() || 0;
+
+    if (remoteTime > localTime) {
+        restoreGistPayload(gist, payload);
+        return 'pulled';
+    }
+
+    if (localTime > remoteTime) {
+        await pushToGist(gist);
+        return 'pushed';
+    }
+
+    updateGistSync({ last_synced_at: payload.exported_at });
+    return 'up_to_date';
+}
+
+/**
+ * Get a user-facing message for a Gist backup error
+ * @param {Error} error - Error thrown by the functions above
+ * @returns {string} Message
+ */
+function getGistErrorMessage(error) {
+    if (error.message === 'NO_BACKUP') {
+        return 'There is no backup Gist yet. Push from a machine that has your repositories first.';
+    }
+
+    if (error.message === 'INVALID_BACKUP') {
+        return 'The backup Gist does not contain valid dashboard data.';
+    }
+
+    // GitHub answers 404 when a classic token lacks the gist scope
+    if (error instanceof NotFoundError || error instanceof ForbiddenError) {
+        return 'Your token cannot access Gists. Classic tokens need the "gist" scope; fine-grained tokens need the "Gists" account permission.';
+    }
+
+    return getAPIErrorMessage(error);
+}
@@ -0,0 +1,182 @@
+/**
+ * Metric History
+ * Keeps one snapshot per day of each tracked repository's stars, forks and
+ * open issues, so cards can show sparklines and the trends view can compare
+ * against a week or a month ago. Snapshots are stored per account as compact
+ * tuples and dropped after the retention period or once a repository is no
+ * longer tracked.
+ */
+
+const METRIC_HISTORY_KEY = 'metric_history';
+
+const METRIC_HISTORY_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order of the values after the day in each snapshot tuple
+const HISTORY_METRICS = ['stargazers_count', 'forks_count', 'open_issues_count'];
+
+/**
+ * Get the day number of a time
+ * @param {number} timestamp - Time (defaults to now)
+ * @returns {number} Days since the Unix epoch (UTC)
+ */
+function getDayNumber(timestamp = Date.now()) {
+    return Math.floor(timestamp / DAY_MS);
+}
+
+/**
+ * Get an account's metric history
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Object} Snapshots keyed by repository ID: [[day, stars, forks, open issues], ...], oldest first
+ */
+function getMetricHistory(accountId = getActiveAccountId()) {
+    try {
+        return JSON.parse(getActiveStorage(accountId).getItem(getAccountKey(METRIC_HISTORY_KEY, accountId))) || {};
+    } catch (e) {
+        console.error('Failed to parse metric history:', e);
+        return {};
+    }
+}
+
+/**
+ * Store an account's metric history
+ * @param {Object} history - Snapshots keyed by repository ID
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+function setMetricHistory(history, accountId = getActiveAccountId()) {
+    try {
+        safeSetItem(getAccountKey(METRIC_HISTORY_KEY, accountId), JSON.stringify(history), getActiveStorage(accountId));
+    } catch (e) {
+        // History is a nice-to-have; never let it break the cards
+        console.warn('Failed to store metric history:', e);
+    }
+}
+
+/**
+ * Record today's metrics of a repository, replacing an earlier snapshot from today
+ * @param {Object} repoDetails - Repository as returned by normalizeRepository()
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+function recordMetricSnapshot(repoDetails, accountId = getActiveAccountId()) {
+    const history = getMetricHistory(accountId);
+    const snapshots = history[repoDetails.id] || [];
+    const snapshot = [getDayNumber(), ...HISTORY_METRICS.map(metric => repoDetails[metric])];
+
+    const last = snapshots[snapshots.length - 1];
+    if (last && last.every((value, i) => value === snapshot[i])) {
+        return;
+    }
+
+    if (last && last[0] === snapshot[0]) {
+        snapshots[snapshots.length - 1] = snapshot;
+    } else {
+        snapshots.push(snapshot);
+    }
+
+    history[repoDetails.id] = snapshots;
+    setMetricHistory(history, accountId);
+}
+
+/**
+ * Drop snapshots past the retention period and those of repositories no longer tracked
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+function pruneMetricHistory(accountId = getActiveAccountId()) {
+    const history = getMetricHistory(accountId);
+    const trackedIds = new Set(getTrackedRepos(accountId).map(repo => String(repo.id)));
+    const oldestDay = getDayNumber() - METRIC_HISTORY_RETENTION_DAYS;
+
+    let changed = false;
+    const pruned = {};
+
+    Object.entries(history).forEach(([repoId, snapshots]) => {
+        const kept = trackedIds.has(repoId) ? snapshots.filter(snapshot => snapshot[0] >= oldestDay) : [];
+
+        if (kept.length > 0) {
+            pruned[repoId] = kept;
+        }
+        changed = changed || kept.length !== snapshots.length;
+    });
+
+    if (changed) {
+        setMetricHistory(pruned, accountId);
+    }
+}
+
+/**
+ * Get one metric's daily values for a repository
+ * @param {Array} snapshots - Snapshots of the repository
+ * @param {string} metric - One of HISTORY_METRICS
+ * @returns {Array<Object>} { day, value }, oldest first
+ */
+function getMetricSeries(snapshots, metric) {
+    const index = HISTORY_METRICS.indexOf(metric) + 1;
+    return (snapshots || []).map(snapshot => ({ day: snapshot[0], value: snapshot[index] }));
+}
+
+/**
+ * Get how much a metric changed over a number of days
+ * @param {Array<Object>} series - Result of getMetricSeries()
+ * @param {number} days - Period (e.g., 7 for week over week)
+ * @returns {number|null} Change, or null if the history doesn't reach back that far
+ */
+function getMetricDelta(series, days) {
+    if (series.length === 0) {
+        return null;
+    }
+
+    const latest = series[series.length - 1];
+    const targetDay = latest.day - days;
+
+    // Latest snapshot on or before the target day
+    let baseline = null;
+    for (const point of series) {
+        if (point.day > targetDay) {
+            break;
+        }
+        baseline = point;
+    }
+
+    return baseline ? latest.value - baseline.value : null;
+}
+
+/**
+ * Render a sparkline of daily values. Days without a snapshot keep the
+ * previous value, so gaps don't distort the line.
+ * @param {Array<Object>} series - Result of getMetricSeries()
+ * @param {Object} options - { width, height, label }
+ * @returns {string} SVG markup, or '' with fewer than two snapshots
+ */
+function createSparklineSVG(series, options = {}) {
+    const { width = 80, height = 20, label = '' } = options;
+
+    if (series.length < 2) {
+        return '';
+    }
+
+    const firstDay = series[0].day;
+    const lastDay = series[series.length - 1].day;
+    const values = series.map(point => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    const x = day => lastDay === firstDay ? width : ((day - firstDay) / (lastDay - firstDay)) * width;
+    const y = value => max === min ? height / 2 : height - 1 - ((value - min) / (max - min)) * (height - 2);
+
+    const points = [];
+    series.forEach((point, i) => {
+        if (i > 0) {
+            // Step to the new value on its day
+            points.push(`${x(point.day).toFixed(1)},${y(series[i - 1].value).toFixed(1)}`);
+        }
+        points.push(`${x(point.day).toFixed(1)},${y(point.value).toFixed(1)}`);
+    });
+
+    return `
+        <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+            <title>${label}</title>
+            <polyline points="${points.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+        </svg>
+    `;
+}
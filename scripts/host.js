@@ -0,0 +1,70 @@
+/**
+ * GitHub Host Configuration
+ * Resolves REST, GraphQL and web URLs for github.com or a GitHub Enterprise Server host
+ */
+
+const DEFAULT_GITHUB_HOST = 'github.com';
+
+/**
+ * Normalize user input to a bare host name (with optional port)
+ * @param {string} input - Host or URL entered by the user (e.g., "https://github.example.com/")
+ * @returns {string} Host name (e.g., "github.example.com")
+ */
+function normalizeGitHubHost(input) {
+    let host = (input || '').trim().toLowerCase();
+
+    host = host.replace(/^[a-z]+:\/\//, ''); // Strip protocol
+    host = host.split('/')[0]; // Strip path
+
+    // The REST host of github.com is still github.com
+    if (!host || host === 'api.github.com' || host === 'www.github.com') {
+        return DEFAULT_GITHUB_HOST;
+    }
+
+    return host;
+}
+
+/**
+ * Check whether a host is a GitHub Enterprise Server instance
+ * @param {string} host - Host name
+ * @returns {boolean} True for anything other than github.com
+ */
+function isEnterpriseHost(host = getStoredHost()) {
+    return host !== DEFAULT_GITHUB_HOST;
+}
+
+/**
+ * Get the GitHub host of the active account
+ * @returns {string} Host name, github.com if no account is signed in
+ */
+function getStoredHost() {
+    const account = getActiveAccount();
+    return account ? account.host : DEFAULT_GITHUB_HOST;
+}
+
+/**
+ * Get the REST API base URL for a host
+ * @param {string} host - Host name (defaults to the stored host)
+ * @returns {string} REST base URL (e.g., "https://api.github.com" or "https://github.example.com/api/v3")
+ */
+function getAPIBase(host = getStoredHost()) {
+    return isEnterpriseHost(host) ? `https://${host}/api/v3` : 'https://api.github.com';
+}
+
+/**
+ * Get the GraphQL endpoint URL for a host
+ * @param {string} host - Host name (defaults to the stored host)
+ * @returns {string} GraphQL URL (e.g., "https://api.github.com/graphql" or "https://github.example.com/api/graphql")
+ */
+function getGraphQLURL(host = getStoredHost()) {
+    return isEnterpriseHost(host) ? `https://${host}/api/graphql` : 'https://api.github.com/graphql';
+}
+
+/**
+ * Get the web base URL for a host, for links to GitHub pages
+ * @param {string} host - Host name (defaults to the stored host)
+ * @returns {string} Web base URL (e.g., "https://github.com")
+ */
+function getWebBase(host = getStoredHost()) {
+    return `https://${host}`;
+}
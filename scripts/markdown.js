@@ -0,0 +1,152 @@
+/**
+ * Markdown Rendering
+ * Renders the Markdown subset used in repository notes: headings, paragraphs,
+ * lists, quotes, code, emphasis and links. All text is escaped before any
+ * markup is added, and links are limited to web and mail addresses, so notes
+ * (which may come from imports, share links or Gist backups) can't inject HTML.
+ */
+
+// Link targets allowed in notes
+const MARKDOWN_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Escape text for use in HTML, including attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Apply bold, italics and strikethrough to escaped text
+ * @param {string} text - Escaped text
+ * @returns {string} HTML
+ */
+function renderMarkdownEmphasis(text) {
+    return text
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_([^_\s][^_]*?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(.+?)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Render inline Markdown: code spans, links, bold, italics and strikethrough
+ * @param {string} text - One block of raw text
+ * @returns {string} HTML
+ */
+function renderMarkdownInline(text) {
+    // Odd parts are code spans, whose content is shown as is
+    return text.split('`').map((part, index, parts) => {
+        const escaped = escapeMarkdownHTML(part);
+
+        // An unmatched backtick stays a backtick
+        if (index % 2 === 1 && index < parts.length - 1) {
+            return `<code>${escaped}</code>`;
+        }
+
+        // Links are set aside while emphasis is applied, so their URLs are left intact
+        const links = [];
+        const withPlaceholders = escaped
+            .replace(/\u0000/g, '')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                if (!MARKDOWN_LINK_PATTERN.test(url)) {
+                    return match;
+                }
+
+                links.push(`<a href="${url}" target="_blank" rel="noopener noreferrer">${renderMarkdownEmphasis(label)}</a>`);
+                return `\u0000${links.length - 1}\u0000`;
+            });
+
+        const formatted = renderMarkdownEmphasis(withPlaceholders)
+            .replace(/\u0000(\d+)\u0000/g, (match, linkIndex) => links[linkIndex]);
+
+        return index % 2 === 1 ? `\`${formatted}` : formatted;
+    }).join('');
+}
+
+/**
+ * Render Markdown to HTML that is safe to insert into the page
+ * @param {string} markdown - Markdown text
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const closeList = () => {
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderMarkdownInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code block, up to the closing fence or the end
+        if (/^\s*```/.test(line)) {
+            closeParagraph();
+            closeList();
+
+            const code = [];
+            for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            blocks.push(`<pre><code>${escapeMarkdownHTML(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^\s*>\s?(.*)$/);
+
+        if (heading) {
+            closeParagraph();
+            closeList();
+            // Notes sit inside cards, so headings start small
+            const level = Math.min(heading[1].length + 3, 6);
+            blocks.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            closeParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) {
+                closeList();
+            }
+            list = list || { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (quote) {
+            closeParagraph();
+            closeList();
+            blocks.push(`<blockquote>${renderMarkdownInline(quote[1])}</blockquote>`);
+        } else if (line.trim() === '') {
+            closeParagraph();
+            closeList();
+        } else {
+            closeList();
+            paragraph.push(line);
+        }
+    }
+
+    closeParagraph();
+    closeList();
+
+    return blocks.join('');
+}
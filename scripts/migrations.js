@@ -0,0 +1,269 @@
+/**
+ * Schema Migrations
+ * Versions the data kept in localStorage and sessionStorage and upgrades it in
+ * place at startup, before any page reads it. Each storage carries its own
+ * version, since session-only data can outlive an upgrade in an open tab.
+ *
+ * Steps refer to storage keys by their literal names, so they keep working
+ * on old data even if the keys in storage.js change later. Cached API
+ * responses in IndexedDB are versioned by the database itself (see cache.js).
+ */
+
+const SCHEMA_VERSION_KEY = 'schema_version';
+
+// Storage without a version predates versioning
+const INITIAL_SCHEMA_VERSION = 1;
+
+// Keys stored before multi-account support, moved into the first account's namespace
+const LEGACY_ACCOUNT_KEYS = [
+    'github_pat',
+    'user_info',
+    'organizations',
+    'organizations_timestamp',
+    'tracked_repos',
+    'dashboard_settings',
+    'api_cache',
+    'last_refresh'
+];
+
+// Ordered migration steps. Each upgrades one storage from version - 1 to version.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Move single-account data into a namespaced account',
+        migrate: migrateLegacyAccount
+    },
+    {
+        version: 3,
+        description: 'Store tracked repository owners as logins, as in the design doc',
+        migrate: migrateTrackedRepoOwners
+    },
+    {
+        version: 4,
+        description: 'Give tracked repositories a list of tags',
+        migrate: migrateTrackedRepoTags
+    }
+];
+
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of the data in a storage
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {number} Schema version
+ */
+function getSchemaVersion(storage = localStorage) {
+    const version = parseInt(storage.getItem(SCHEMA_VERSION_KEY));
+    return version > 0 ? version : INITIAL_SCHEMA_VERSION;
+}
+
+/**
+ * Copy every key of a storage
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {Object} Map of key to value
+ */
+function snapshotStorage(storage) {
+    const snapshot = {};
+
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        snapshot[key] = storage.getItem(key);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Put a storage back exactly as it was in a snapshot
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @param {Object} snapshot - Result of snapshotStorage()
+ */
+function restoreStorage(storage, snapshot) {
+    storage.clear();
+
+    Object.entries(snapshot).forEach(([key, value]) => {
+        storage.setItem(key, value);
+    });
+}
+
+/**
+ * Bring one storage up to the current schema version. Steps may touch both
+ * storages (e.g., the active account key), so both are backed up first and
+ * restored together if any step throws.
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {boolean} True if the storage is now at the current version
+ */
+function migrateDataSchema(storage) {
+    const fromVersion = getSchemaVersion(storage);
+
+    if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+        return true;
+    }
+
+    // Fresh storage has nothing to upgrade, only a version to record
+    const hasData = storage.length > 0;
+
+    const backup = {
+        local: snapshotStorage(localStorage),
+        session: snapshotStorage(sessionStorage)
+    };
+
+    let step = null;
+    try {
+        SCHEMA_MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                step = migration;
+                migration.migrate(storage);
+                storage.setItem(SCHEMA_VERSION_KEY, migration.version.toString());
+            });
+
+        if (hasData) {
+            console.log(`Migrated data from schema version ${fromVersion} to ${CURRENT_SCHEMA_VERSION}`);
+        }
+        return true;
+    } catch (e) {
+        console.error(`Schema migration to version ${step.version} (${step.description}) failed, rolling back:`, e);
+        restoreStorage(localStorage, backup.local);
+        restoreStorage(sessionStorage, backup.session);
+        return false;
+    }
+}
+
+/**
+ * Migrate both storages. Runs when this script loads.
+ */
+function runSchemaMigrations() {
+    [localStorage, sessionStorage].forEach(storage => {
+        migrateDataSchema(storage);
+    });
+}
+
+// ==================== Migration Steps ====================
+
+/**
+ * Version 2: move data stored before multi-account support into a namespaced account
+ * @param {Storage} storage - localStorage or sessionStorage
+ */
+function migrateLegacyAccount(storage) {
+    const pat = storage.getItem('github_pat');
+    const userInfoStr = storage.getItem('user_info');
+
+    if (!pat || !userInfoStr) {
+        return;
+    }
+
+    let userInfo;
+    try {
+        userInfo = JSON.parse(userInfoStr);
+    } catch (e) {
+        console.error('Failed to parse legacy user info:', e);
+        return;
+    }
+
+    const accountId = registerAccount({
+        host: storage.getItem('github_host') || DEFAULT_GITHUB_HOST,
+        login: userInfo.login,
+        name: userInfo.name,
+        avatar_url: userInfo.avatar_url
+    }, storage === localStorage ? 'local' : 'session');
+
+    LEGACY_ACCOUNT_KEYS.forEach(key => {
+        const value = storage.getItem(key);
+        if (value !== null) {
+            storage.setItem(getAccountKey(key, accountId), value);
+            storage.removeItem(key);
+        }
+    });
+    storage.removeItem('github_host');
+}
+
+/**
+ * Apply an upgrade to every account's tracked repositories in a storage.
+ * Covers signed-out accounts too, whose tracked repos are kept for their return.
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @param {Function} upgrade - Takes and returns one tracked repository object
+ */
+function upgradeStoredTrackedRepos(storage, upgrade) {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key.endsWith(':tracked_repos')) {
+            keys.push(key);
+        }
+    }
+
+    keys.forEach(key => {
+        let repos;
+        try {
+            repos = JSON.parse(storage.getItem(key));
+        } catch (e) {
+            // Left for validateDataIntegrity() to report
+            console.error('Failed to parse tracked repos:', key, e);
+            return;
+        }
+
+        if (!Array.isArray(repos)) {
+            return;
+        }
+
+        storage.setItem(key, JSON.stringify(repos.map(upgrade)));
+    });
+}
+
+/**
+ * Version 3: tracked repositories stored the whole owner object from the API.
+ * Keep just the login, with the avatar alongside for cards that are still loading.
+ * @param {Storage} storage - localStorage or sessionStorage
+ */
+function migrateTrackedRepoOwners(storage) {
+    upgradeStoredTrackedRepos(storage, upgradeTrackedRepoOwner);
+}
+
+/**
+ * Convert one tracked repository's owner object to a login
+ * @param {Object} repo - Tracked repository object
+ * @returns {Object} Tracked repository object with a string owner
+ */
+function upgradeTrackedRepoOwner(repo) {
+    if (!repo.owner || typeof repo.owner !== 'object') {
+        return repo;
+    }
+
+    return {
+        ...repo,
+        owner: repo.owner.login,
+        owner_avatar_url: repo.owner.avatar_url || null,
+        owner_type: repo.owner_type || repo.owner.type
+    };
+}
+
+/**
+ * Version 4: tracked repositories can be tagged; existing ones start untagged
+ * @param {Storage} storage - localStorage or sessionStorage
+ */
+function migrateTrackedRepoTags(storage) {
+    upgradeStoredTrackedRepos(storage, upgradeTrackedRepoTags);
+}
+
+/**
+ * Give one tracked repository an empty list of tags if it has none
+ * @param {Object} repo - Tracked repository object
+ * @returns {Object} Tracked repository object with tags
+ */
+function upgradeTrackedRepoTags(repo) {
+    return repo && typeof repo === 'object' && repo.tags === undefined ? { ...repo, tags: [] } : repo;
+}
+
+/**
+ * Bring a tracked repository from any earlier schema up to date (e.g., from an
+ * imported file exported by an older version)
+ * @param {Object} repo - Tracked repository object
+ * @returns {Object} Tracked repository object in the current schema
+ */
+function upgradeTrackedRepo(repo) {
+    return upgradeTrackedRepoTags(upgradeTrackedRepoOwner(repo));
+}
+
+// Upgrade stored data before anything reads it
+runSchemaMigrations();
@@ -0,0 +1,298 @@
+/**
+ * OAuth Device Flow
+ * Sign-in through GitHub's device authorization flow, token refresh and revocation.
+ *
+ * GitHub's OAuth endpoints don't send CORS headers, so they are called through a
+ * proxy. The proxy forwards `${proxy_url}/login/...` to the GitHub host
+ * (e.g., https://github.com/login/device/code) and `${proxy_url}/applications/...`
+ * to its REST API, adding the client secret where GitHub requires one (refresh,
+ * revocation).
+ */
+
+const OAUTH_CONFIG_KEY = 'oauth_config';
+const AUTH_METHOD_KEY = 'auth_method';
+
+// Fill these in to ship a deployment with sign-in preconfigured
+const DEFAULT_OAUTH_CONFIG = {
+    client_id: '',
+    proxy_url: ''
+};
+
+// Scopes requested from OAuth apps (GitHub Apps ignore them and use their permissions)
+const OAUTH_SCOPES = 'repo read:org read:user';
+
+// Refresh expiring tokens this long before they expire
+const OAUTH_REFRESH_MARGIN = 5 * 60 * 1000; // milliseconds
+
+// How long sign-out waits for a token revocation; the request carries on in the background
+const OAUTH_REVOKE_TIMEOUT = 3000; // milliseconds
+
+// In-flight refreshes per account, so parallel requests share one refresh
+const oauthRefreshPromises = new Map();
+
+/**
+ * Get the configured OAuth app client ID and proxy URL
+ * @returns {Object} { client_id, proxy_url }
+ */
+function getOAuthConfig() {
+    try {
+        return { ...DEFAULT_OAUTH_CONFIG, ...JSON.parse(localStorage.getItem(OAUTH_CONFIG_KEY)) };
+    } catch (e) {
+        console.error('Failed to parse OAuth config:', e);
+        return { ...DEFAULT_OAUTH_CONFIG };
+    }
+}
+
+/**
+ * Store the OAuth app client ID and proxy URL
+ * @param {Object} config - { client_id, proxy_url }
+ */
+function storeOAuthConfig(config) {
+    localStorage.setItem(OAUTH_CONFIG_KEY, JSON.stringify({
+        client_id: config.client_id.trim(),
+        proxy_url: config.proxy_url.trim().replace(/\/+$/, '')
+    }));
+}
+
+/**
+ * Check whether device-flow sign-in is configured
+ * @param {Object} config - OAuth config (defaults to the stored config)
+ * @returns {boolean} True if both a client ID and a proxy URL are set
+ */
+function isOAuthConfigured(config = getOAuthConfig()) {
+    return Boolean(config.client_id && config.proxy_url);
+}
+
+/**
+ * POST a form to a GitHub OAuth endpoint through the proxy
+ * @param {Object} config - OAuth config
+ * @param {string} path - Endpoint path (e.g., '/login/device/code')
+ * @param {Object} params - Form parameters
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function postOAuthForm(config, path, params) {
+    let response;
+    try {
+        response = await fetch(`${config.proxy_url}${path}`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams(params).toString()
+        });
+    } catch (error) {
+        throw new Error('NETWORK_ERROR');
+    }
+
+    if (!response.ok) {
+        throw new Error('OAUTH_ERROR');
+    }
+
+    return response.json();
+}
+
+/**
+ * Start the device flow
+ * @param {Object} config - OAuth config
+ * @returns {Promise<Object>} { device_code, user_code, verification_uri, expires_in, interval }
+ */
+async function requestDeviceCode(config = getOAuthConfig()) {
+    const data = await postOAuthForm(config, '/login/device/code', {
+        client_id: config.client_id,
+        scope: OAUTH_SCOPES
+    });
+
+    if (data.error) {
+        throw new Error(data.error === 'device_flow_disabled' ? 'DEVICE_FLOW_DISABLED' : 'OAUTH_ERROR');
+    }
+
+    return data;
+}
+
+/**
+ * Poll until the user approves the device code
+ * @param {Object} deviceCode - Result of requestDeviceCode()
+ * @param {Object} config - OAuth config
+ * @param {AbortSignal} signal - Optional signal that stops polling
+ * @returns {Promise<Object>} Token response ({ access_token, refresh_token, expires_in, ... })
+ */
+async function pollForDeviceToken(deviceCode, config = getOAuthConfig(), signal = null) {
+    let interval = deviceCode.interval * 1000;
+    const expiresAt = Date.now() + deviceCode.expires_in * 1000;
+
+    while (Date.now() < expiresAt) {
+        // Wait out the interval, or until cancelled
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, interval);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            }
+        });
+
+        if (signal && signal.aborted) {
+            throw new Error('CANCELLED');
+        }
+
+        const data = await postOAuthForm(config, '/login/oauth/access_token', {
+            client_id: config.client_id,
+            device_code: deviceCode.device_code,
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+        });
+
+        if (data.access_token) {
+            return data;
+        }
+
+        switch (data.error) {
+            case 'authorization_pending':
+                break;
+            case 'slow_down':
+                // GitHub returns the new minimum interval
+                interval = (data.interval || interval / 1000 + 5) * 1000;
+                break;
+            case 'expired_token':
+                throw new Error('DEVICE_CODE_EXPIRED');
+            case 'access_denied':
+                throw new Error('ACCESS_DENIED');
+            default:
+                throw new Error('OAUTH_ERROR');
+        }
+    }
+
+    throw new Error('DEVICE_CODE_EXPIRED');
+}
+
+/**
+ * Build the auth method record for a device-flow token
+ * @param {Object} tokenResponse - Token response from GitHub
+ * @param {Object} config - OAuth config the token was issued under
+ * @returns {Object} Auth method record
+ */
+function createOAuthMethod(tokenResponse, config = getOAuthConfig()) {
+    const now = Date.now();
+
+    return {
+        type: 'oauth',
+        client_id: config.client_id,
+        proxy_url: config.proxy_url,
+        refresh_token: tokenResponse.refresh_token || null,
+        // Only GitHub App user tokens expire; OAuth app tokens don't
+        expires_at: tokenResponse.expires_in ? now + tokenResponse.expires_in * 1000 : null,
+        refresh_token_expires_at: tokenResponse.refresh_token_expires_in
+            ? now + tokenResponse.refresh_token_expires_in * 1000
+            : null
+    };
+}
+
+/**
+ * Record how an account signed in
+ * @param {Object} method - { type: 'pat' } or an OAuth method record
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+function storeAuthMethod(method, accountId = getActiveAccountId()) {
+    getAccountStorage(accountId).setItem(getAccountKey(AUTH_METHOD_KEY, accountId), JSON.stringify(method));
+}
+
+/**
+ * Get how an account signed in
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Object} Auth method record; accounts from before device flow are 'pat'
+ */
+function getAuthMethod(accountId = getActiveAccountId()) {
+    try {
+        const method = JSON.parse(getAccountStorage(accountId).getItem(getAccountKey(AUTH_METHOD_KEY, accountId)));
+        return method || { type: 'pat' };
+    } catch (e) {
+        console.error('Failed to parse auth method:', e);
+        return { type: 'pat' };
+    }
+}
+
+/**
+ * Exchange an account's refresh token for a new access token
+ * @param {string} accountId - Account ID
+ * @returns {Promise<string>} New access token
+ */
+async function refreshOAuthToken(accountId) {
+    const method = getAuthMethod(accountId);
+    const config = { client_id: method.client_id, proxy_url: method.proxy_url };
+
+    const data = await postOAuthForm(config, '/login/oauth/access_token', {
+        client_id: method.client_id,
+        grant_type: 'refresh_token',
+        refresh_token: method.refresh_token
+    });
+
+    if (!data.access_token) {
+        throw new Error('REFRESH_FAILED');
+    }
+
+    await saveAccountToken(data.access_token, accountId);
+    storeAuthMethod(createOAuthMethod(data, config), accountId);
+
+    return data.access_token;
+}
+
+/**
+ * Refresh an account's token if it is an expiring OAuth token close to expiry
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Promise<void>}
+ */
+async function refreshOAuthTokenIfNeeded(accountId = getActiveAccountId()) {
+    const method = getAuthMethod(accountId);
+
+    if (method.type !== 'oauth' || !method.expires_at || !method.refresh_token) {
+        return;
+    }
+
+    if (method.expires_at - Date.now() > OAUTH_REFRESH_MARGIN) {
+        return;
+    }
+
+    if (method.refresh_token_expires_at && method.refresh_token_expires_at <= Date.now()) {
+        // Nothing left to refresh with; the next request fails with 401 and signs out
+        return;
+    }
+
+    if (!oauthRefreshPromises.has(accountId)) {
+        oauthRefreshPromises.set(accountId, refreshOAuthToken(accountId).finally(() => {
+            oauthRefreshPromises.delete(accountId);
+        }));
+    }
+
+    await oauthRefreshPromises.get(accountId);
+}
+
+/**
+ * Revoke an account's OAuth token at GitHub (best effort). PATs are left alone:
+ * they can only be revoked from the user's token settings.
+ * @param {string} token - Access token to revoke
+ * @param {Object} method - Auth method record of the account
+ * @returns {Promise<void>}
+ */
+async function revokeOAuthToken(token, method) {
+    if (method.type !== 'oauth' || !token) {
+        return;
+    }
+
+    // keepalive lets the request finish when the page navigates away right after sign-out
+    const revocation = fetch(`${method.proxy_url}/applications/${method.client_id}/token`, {
+        method: 'DELETE',
+        keepalive: true,
+        headers: {
+            'Accept': 'application/vnd.github.v3+json',
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ access_token: token })
+    }).catch(error => console.warn('Failed to revoke OAuth token:', error));
+
+    // A hanging proxy mustn't hold up signing out
+    await Promise.race([
+        revocation,
+        new Promise(resolve => setTimeout(resolve, OAUTH_REVOKE_TIMEOUT))
+    ]);
+}
@@ -0,0 +1,275 @@
+/**
+ * GitHub API Rate Limit Monitor
+ * Tracks quota from response headers, renders the quota widget and
+ * throttles low-priority requests as the quota runs out
+ */
+
+// Fraction of the quota below which low-priority requests are spaced out
+const RATE_LIMIT_THROTTLE_THRESHOLD = 0.2;
+
+// Requests kept in reserve for user-initiated work. Below this, low-priority
+// requests wait for the quota to reset.
+const RATE_LIMIT_RESERVE = 100;
+
+// Longest pause between two low-priority requests
+const MAX_THROTTLE_DELAY = 30 * 1000;
+
+// Latest known quota per resource ('core', 'graphql', 'search', ...)
+const rateLimitState = {};
+const rateLimitListeners = [];
+
+// Earliest time the next low-priority request may start
+let nextLowPrioritySlot = 0;
+
+// Reset time the widget last re-polled /rate_limit for
+let rateLimitResetPolled = null;
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional signal that cuts the wait short
+ * @returns {Promise<void>} Rejects with an AbortError if the signal fires
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+
+        const timer = setTimeout(resolve, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Get the rate limit resource an endpoint counts against
+ * @param {string} endpoint - API endpoint or absolute URL
+ * @returns {string} Resource name
+ */
+function getRateLimitResource(endpoint) {
+    const path = endpoint.startsWith('http') ? new URL(endpoint).pathname : endpoint;
+
+    if (path.endsWith('/graphql')) {
+        return 'graphql';
+    }
+
+    if (path.includes('/search/')) {
+        return 'search';
+    }
+
+    return 'core';
+}
+
+/**
+ * Get the latest known rate limit for a resource
+ * @param {string} resource - Resource name
+ * @returns {Object|null} { limit, remaining, reset, used } or null if unknown
+ */
+function getRateLimit(resource = 'core') {
+    return rateLimitState[resource] || null;
+}
+
+/**
+ * Record the rate limit for a resource and notify listeners
+ * @param {string} resource - Resource name
+ * @param {Object} info - { limit, remaining, reset, used }
+ */
+function setRateLimit(resource, info) {
+    rateLimitState[resource] = {
+        limit: info.limit,
+        remaining: info.remaining,
+        reset: info.reset, // Unix epoch seconds
+        used: info.used,
+        updated_at: Date.now()
+    };
+
+    rateLimitListeners.forEach(listener => listener(resource, rateLimitState[resource]));
+}
+
+/**
+ * Update rate limit state from the X-RateLimit-* headers of a response
+ * @param {Response} response - Fetch response
+ */
+function updateRateLimitFromResponse(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+
+    if (remaining === null) {
+        return;
+    }
+
+    const resource = response.headers.get('X-RateLimit-Resource') || 'core';
+
+    setRateLimit(resource, {
+        limit: parseInt(response.headers.get('X-RateLimit-Limit')),
+        remaining: parseInt(remaining),
+        reset: parseInt(response.headers.get('X-RateLimit-Reset')),
+        used: parseInt(response.headers.get('X-RateLimit-Used'))
+    });
+}
+
+/**
+ * Subscribe to rate limit changes
+ * @param {Function} listener - Called with (resource, state)
+ */
+function onRateLimitChange(listener) {
+    rateLimitListeners.push(listener);
+}
+
+/**
+ * Fetch the current quota for every resource (does not count against the limit)
+ * @returns {Promise<Object>} Rate limit state keyed by resource
+ */
+async function fetchRateLimit() {
+    const data = await githubAPI('/rate_limit');
+
+    Object.entries(data.resources).forEach(([resource, info]) => {
+        setRateLimit(resource, info);
+    });
+
+    return rateLimitState;
+}
+
+/**
+ * Load the current quota at startup
+ */
+async function initRateLimit() {
+    try {
+        await fetchRateLimit();
+    } catch (error) {
+        console.warn('Failed to fetch rate limit:', error);
+    }
+}
+
+/**
+ * Get the pause a low-priority request should take before hitting a resource
+ * @param {string} resource - Resource name
+ * @returns {number} Delay in milliseconds
+ */
+function getThrottleDelay(resource) {
+    const state = getRateLimit(resource);
+
+    if (!state) {
+        return 0;
+    }
+
+    const msUntilReset = state.reset * 1000 - Date.now();
+
+    if (msUntilReset <= 0 || state.remaining > state.limit * RATE_LIMIT_THROTTLE_THRESHOLD) {
+        return 0;
+    }
+
+    if (state.remaining <= RATE_LIMIT_RESERVE) {
+        return msUntilReset;
+    }
+
+    // Spread the requests left above the reserve evenly until the reset
+    return Math.min(msUntilReset / (state.remaining - RATE_LIMIT_RESERVE), MAX_THROTTLE_DELAY);
+}
+
+/**
+ * Hold back a request according to its priority and the remaining quota.
+ * Normal-priority requests pass straight through; low-priority requests
+ * (background refreshes, org repo listings) are spaced out as the quota
+ * runs low and wait for the reset once only the reserve is left.
+ * @param {string} resource - Resource name
+ * @param {string} priority - 'normal' or 'low'
+ * @param {AbortSignal} signal - Optional signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+async function throttleRequest(resource, priority = 'normal', signal = null) {
+    if (priority !== 'low') {
+        return;
+    }
+
+    const delay = getThrottleDelay(resource);
+
+    if (delay <= 0) {
+        return;
+    }
+
+    const state = getRateLimit(resource);
+    if (state.remaining <= RATE_LIMIT_RESERVE) {
+        console.warn(`Rate limit reserve reached for ${resource}, deferring low-priority request until reset`);
+        await sleep(delay, signal);
+        return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, nextLowPrioritySlot);
+    nextLowPrioritySlot = slot + delay;
+
+    await sleep(slot - now, signal);
+}
+
+// ==================== Quota Widget ====================
+
+/**
+ * Format a duration as a short countdown string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Countdown (e.g., "42m 05s")
+ */
+function formatCountdown(ms) {
+    const totalSecs = Math.max(Math.ceil(ms / 1000), 0);
+    const mins = Math.floor(totalSecs / 60);
+    const secs = totalSecs % 60;
+
+    return `${mins}m ${secs.toString().padStart(2, '0')}s`;
+}
+
+/**
+ * Render the core quota into the header widget
+ */
+function renderRateLimitWidget() {
+    const widget = document.getElementById('rate-limit-widget');
+    const state = getRateLimit('core');
+
+    if (!widget || !state) {
+        return;
+    }
+
+    const percentage = state.limit > 0 ? (state.remaining / state.limit) * 100 : 0;
+    const msUntilReset = state.reset * 1000 - Date.now();
+
+    document.getElementById('rate-limit-remaining').textContent =
+        `${state.remaining.toLocaleString()} / ${state.limit.toLocaleString()}`;
+    document.getElementById('rate-limit-fill').style.width = `${percentage}%`;
+    document.getElementById('rate-limit-reset').textContent =
+        msUntilReset > 0 ? `Resets in ${formatCountdown(msUntilReset)}` : 'Quota reset';
+
+    widget.title = Object.entries(rateLimitState)
+        .map(([resource, info]) => `${resource}: ${info.remaining} / ${info.limit} remaining`)
+        .join('\n');
+    widget.classList.toggle('warning', state.remaining < RATE_LIMIT_RESERVE);
+    widget.style.display = '';
+
+    // Once the window has passed, pick up the fresh quota (once per window)
+    if (msUntilReset <= 0 && rateLimitResetPolled !== state.reset) {
+        rateLimitResetPolled = state.reset;
+        initRateLimit();
+    }
+}
+
+/**
+ * Wire the header quota widget to rate limit updates and start its countdown
+ */
+function initRateLimitWidget() {
+    if (!document.getElementById('rate-limit-widget')) {
+        return;
+    }
+
+    onRateLimitChange(resource => {
+        if (resource === 'core') {
+            renderRateLimitWidget();
+        }
+    });
+
+    setInterval(renderRateLimitWidget, 1000);
+    renderRateLimitWidget();
+}
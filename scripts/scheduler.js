@@ -0,0 +1,204 @@
+/**
+ * Refresh Scheduler
+ * Keeps what a page shows up to date while it stays open. Pages register a
+ * task per resource; every `refresh_interval` seconds (while `auto_refresh`
+ * is on) the scheduler runs the tasks of resources older than their TTL.
+ * Tasks go through the API cache, so only entries that expired are fetched
+ * again. The scheduler pauses while the tab is hidden, catches up when it is
+ * shown again, and backs off while the API quota is low.
+ */
+
+// How long each resource stays fresh (see the design doc)
+const REFRESH_TTLS = {
+    repositories: REPOSITORIES_CACHE_TTL * 60 * 1000,
+    organizations: ORGANIZATIONS_CACHE_TTL,
+    details: REPO_DETAILS_CACHE_TTL * 60 * 1000,
+    activity: CARD_DATA_TTL * 60 * 1000
+};
+
+// Auto-refresh intervals offered in the UI, in seconds
+const REFRESH_INTERVALS = [60, 120, 300, 600, 900, 1800];
+
+// Shortest interval accepted from the settings, in seconds
+const MIN_REFRESH_INTERVAL = 30;
+
+// Largest factor the interval is stretched by while the quota is low
+const MAX_REFRESH_BACKOFF = 8;
+
+// Registered tasks by resource, and when each resource was last refreshed
+const refreshTasks = {};
+const resourceRefreshedAt = {};
+const refreshListeners = [];
+
+let refreshTimer = null;
+let nextRefreshAt = null;
+let refreshBackoff = 1;
+let refreshInProgress = null;
+
+/**
+ * Register the task that refreshes a resource
+ * @param {string} resource - Key of REFRESH_TTLS
+ * @param {Function} task - Called with `forceRefresh`; returns a Promise
+ */
+function registerRefreshTask(resource, task) {
+    refreshTasks[resource] = task;
+    resourceRefreshedAt[resource] = Date.now();
+}
+
+/**
+ * Subscribe to refreshes and schedule changes
+ * @param {Function} listener - Called with the refresh status
+ */
+function onRefreshStatusChange(listener) {
+    refreshListeners.push(listener);
+}
+
+/**
+ * Get the auto-refresh interval from the dashboard settings
+ * @param {Object} settings - Dashboard settings (defaults to the active account's)
+ * @returns {number} Interval in milliseconds
+ */
+function getRefreshInterval(settings = getDashboardSettings()) {
+    const seconds = Number.isFinite(settings.refresh_interval)
+        ? settings.refresh_interval
+        : DEFAULT_DASHBOARD_SETTINGS.refresh_interval;
+
+    return Math.max(seconds, MIN_REFRESH_INTERVAL) * 1000;
+}
+
+/**
+ * Get the state of the scheduler
+ * @returns {Object} { enabled, last_refresh, next_refresh, backoff, running }
+ *                   Times are timestamps, or null where not known
+ */
+function getRefreshStatus() {
+    return {
+        enabled: Boolean(getDashboardSettings().auto_refresh),
+        last_refresh: getLastRefresh(),
+        next_refresh: nextRefreshAt,
+        backoff: refreshBackoff,
+        running: refreshInProgress !== null
+    };
+}
+
+/**
+ * Tell listeners the refresh status changed
+ */
+function notifyRefreshListeners() {
+    const status = getRefreshStatus();
+    refreshListeners.forEach(listener => listener(status));
+}
+
+/**
+ * Get how long to wait before the next automatic refresh. The interval
+ * doubles (up to MAX_REFRESH_BACKOFF) each time the REST or GraphQL quota is
+ * below the throttle threshold, and refreshes wait for the reset once only
+ * the reserve is left.
+ * @returns {number} Delay in milliseconds
+ */
+function getNextRefreshDelay() {
+    const interval = getRefreshInterval();
+    const now = Date.now();
+    const quotas = ['core', 'graphql'].map(getRateLimit).filter(state => state && state.reset * 1000 > now);
+
+    const exhausted = quotas.filter(state => state.remaining <= RATE_LIMIT_RESERVE);
+    if (exhausted.length > 0) {
+        return Math.max(interval, ...exhausted.map(state => state.reset * 1000 - now));
+    }
+
+    const low = quotas.some(state => state.remaining <= state.limit * RATE_LIMIT_THROTTLE_THRESHOLD);
+    refreshBackoff = low ? Math.min(refreshBackoff * 2, MAX_REFRESH_BACKOFF) : 1;
+
+    return interval * refreshBackoff;
+}
+
+/**
+ * Refresh resources now: those past their TTL, or all of them
+ * @param {boolean} forceRefresh - Refresh every resource, bypassing the cache
+ * @returns {Promise<void>} Resolves once every task settled; task errors are logged
+ */
+async function refreshResources(forceRefresh = false) {
+    // A manual refresh waits for an automatic one still running, then runs in full
+    while (refreshInProgress) {
+        await refreshInProgress;
+        if (!forceRefresh) {
+            return;
+        }
+    }
+
+    const run = async () => {
+        const now = Date.now();
+        const due = Object.keys(refreshTasks).filter(resource => (
+            forceRefresh || now - resourceRefreshedAt[resource] >= REFRESH_TTLS[resource]
+        ));
+
+        // One resource at a time, so a refresh doesn't burst the quota
+        for (const resource of due) {
+            try {
+                await refreshTasks[resource](forceRefresh);
+                resourceRefreshedAt[resource] = Date.now();
+            } catch (error) {
+                if (!isAbortError(error)) {
+                    console.error(`Failed to refresh ${resource}:`, error);
+                }
+            }
+        }
+
+        if (due.length > 0) {
+            setLastRefresh();
+        }
+    };
+
+    refreshInProgress = run();
+    notifyRefreshListeners();
+
+    try {
+        await refreshInProgress;
+    } finally {
+        refreshInProgress = null;
+        notifyRefreshListeners();
+    }
+}
+
+/**
+ * Schedule the next automatic refresh, replacing any scheduled one.
+ * Nothing is scheduled while auto-refresh is off or the tab is hidden.
+ */
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    nextRefreshAt = null;
+
+    if (getDashboardSettings().auto_refresh && document.visibilityState !== 'hidden') {
+        const delay = getNextRefreshDelay();
+        nextRefreshAt = Date.now() + delay;
+        refreshTimer = setTimeout(async () => {
+            await refreshResources();
+            scheduleRefresh();
+        }, delay);
+    }
+
+    notifyRefreshListeners();
+}
+
+/**
+ * Start refreshing automatically, counting what the page just loaded as fresh
+ */
+function initRefreshScheduler() {
+    setLastRefresh();
+
+    document.addEventListener('visibilitychange', async () => {
+        if (document.visibilityState === 'hidden') {
+            scheduleRefresh();
+            return;
+        }
+
+        // Catch up on whatever went stale while hidden
+        if (getDashboardSettings().auto_refresh) {
+            await refreshResources();
+        }
+        scheduleRefresh();
+    });
+
+    scheduleRefresh();
+}
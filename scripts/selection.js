@@ -6,6 +6,10 @@
 let allRepositories = [];
 let filteredRepositories = [];
 let selectedRepoIds = new Set();
+let savedRepoIds = new Set();
+// Tags by repository ID, with this tab's unsaved changes, and as last saved
+let repoTags = new Map();
+let savedRepoTags = new Map();
 let currentFilter = 'all';
 let currentOrgFilter = '';
 let currentSearch = '';
@@ -14,14 +18,21 @@ let currentSearch = '';
  * Initialize selection interface
  */
 async function initSelection() {
-    if (!requireAuth()) {
+    if (!requireAuth(initSelection)) {
         return;
     }
 
+    // Load the current quota so org listings are throttled from the start
+    await initRateLimit();
+
     try {
         // Load existing tracked repos
         const trackedRepos = getTrackedRepos();
         selectedRepoIds = new Set(trackedRepos.map(r => r.id));
+        savedRepoIds = new Set(selectedRepoIds);
+        repoTags = new Map(trackedRepos.map(r => [r.id, r.tags || []]));
+        savedRepoTags = new Map(repoTags);
+        initCrossTabSync();
 
         // Load repositories
         allRepositories = await initRepositories();
@@ -40,10 +51,58 @@ async function initSelection() {
 
     } catch (error) {
         console.error('Failed to initialize selection:', error);
-        showError('Failed to load repositories. Please refresh the page.');
+        showError(`Failed to load repositories. ${getAPIErrorMessage(error)} Please refresh the page.`);
     }
 }
 
+/**
+ * Keep the selection in step with changes made in other tabs
+ */
+function initCrossTabSync() {
+    const displayedAccountId = getActiveAccountId();
+
+    followSignOut(displayedAccountId);
+
+    onSyncChange(SYNC_TOPICS.TRACKED_REPOS, accountId => {
+        if (accountId === displayedAccountId) {
+            applyTrackedReposChange();
+        }
+    });
+}
+
+/**
+ * Apply another tab's changes to the tracked list on top of this tab's
+ * unsaved selection: repos it added are selected, repos it removed deselected
+ */
+function applyTrackedReposChange() {
+    const trackedRepos = getTrackedRepos();
+    const trackedIds = new Set(trackedRepos.map(r => r.id));
+
+    trackedIds.forEach(id => {
+        if (!savedRepoIds.has(id)) {
+            selectedRepoIds.add(id);
+        }
+    });
+    savedRepoIds.forEach(id => {
+        if (!trackedIds.has(id)) {
+            selectedRepoIds.delete(id);
+        }
+    });
+    savedRepoIds = trackedIds;
+
+    // Tags changed elsewhere are taken unless this tab changed them too
+    trackedRepos.forEach(repo => {
+        const local = repoTags.get(repo.id) || [];
+        if (JSON.stringify(local) === JSON.stringify(savedRepoTags.get(repo.id) || [])) {
+            repoTags.set(repo.id, repo.tags || []);
+        }
+    });
+    savedRepoTags = new Map(trackedRepos.map(r => [r.id, r.tags || []]));
+
+    applyFilters();
+    updateSelectionCount();
+}
+
 /**
  * Populate organization filter dropdown
  */
@@ -92,6 +151,14 @@ function setupEventListeners() {
     // Bulk actions
     document.getElementById('select-all').addEventListener('click', selectAll);
     document.getElementById('deselect-all').addEventListener('click', deselectAll);
+    document.getElementById('add-tag').addEventListener('click', () => tagSelected(true));
+    document.getElementById('remove-tag').addEventListener('click', () => tagSelected(false));
+    document.getElementById('tag-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            tagSelected(true);
+        }
+    });
+    renderTagSuggestions();
 
     // Action buttons
     document.getElementById('cancel-button').addEventListener('click', () => {
@@ -190,8 +257,17 @@ function createRepoCard(repo) {
             ${repo.owner_type === 'Organization' ? `<span class="org-badge">ORG</span>` : ''}
             <span class="repo-meta-item">Updated ${relativeTime}</span>
         </div>
+        ${renderTagBadges(repoTags.get(repo.id))}
     `;
 
+    const orgColor = repo.owner_type === 'Organization' ? getOrgColor(repo.owner.login) : null;
+    if (orgColor) {
+        const badge = card.querySelector('.org-badge');
+        badge.classList.add('org-tinted');
+        badge.style.setProperty('--org-color', orgColor);
+        badge.style.setProperty('--org-text-color', getTextColorFor(orgColor));
+    }
+
     // Click anywhere on card to toggle selection
     card.addEventListener('click', (e) => {
         if (e.target.tagName !== 'INPUT') {
@@ -240,6 +316,67 @@ function deselectAll() {
     updateSelectionCount();
 }
 
+/**
+ * Add a tag to, or remove it from, the selected repositories that are shown.
+ * Like the selection itself, tags are saved with "Save Selection".
+ * @param {boolean} add - True to add the tag, false to remove it
+ */
+function tagSelected(add) {
+    const input = document.getElementById('tag-input');
+    const tag = normalizeTag(input.value);
+    const targets = filteredRepositories.filter(repo => selectedRepoIds.has(repo.id));
+
+    if (!tag) {
+        showTagMessage(input.value.trim() ? TAG_RULES : 'Type a tag first.', true);
+        return;
+    }
+
+    if (targets.length === 0) {
+        showTagMessage('Select the repositories to tag first.', true);
+        return;
+    }
+
+    targets.forEach(repo => {
+        const tags = repoTags.get(repo.id) || [];
+        repoTags.set(repo.id, add ? addTags(tags, [tag]) : removeTags(tags, [tag]));
+    });
+
+    const count = `${targets.length} ${targets.length === 1 ? 'repository' : 'repositories'}`;
+    showTagMessage(add
+        ? `Tagged ${count} "${tag}". Save the selection to keep it.`
+        : `Removed "${tag}" from ${count}. Save the selection to keep it.`);
+
+    input.value = '';
+    renderTagSuggestions();
+    displayRepositories();
+}
+
+/**
+ * Show the outcome of tagging under the tag controls
+ * @param {string} message - Message
+ * @param {boolean} isError - True to show it as an error
+ */
+function showTagMessage(message, isError = false) {
+    const element = document.getElementById('tag-message');
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+    element.hidden = false;
+}
+
+/**
+ * Suggest the tags in use when typing a tag
+ */
+function renderTagSuggestions() {
+    // Include tags given in this tab but not saved yet
+    const tagged = [...repoTags.values()].map(tags => ({ tags }));
+
+    document.getElementById('tag-suggestions').replaceChildren(...getKnownTags(tagged).map(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        return option;
+    }));
+}
+
 /**
  * Update selection count display and save button state
  */
@@ -252,19 +389,16 @@ function updateSelectionCount() {
  * Save selected repositories
  */
 function saveSelection() {
-    const selectedRepos = allRepositories
+    // Repositories that stay tracked keep their place, pin and notes
+    const kept = getTrackedRepos()
         .filter(repo => selectedRepoIds.has(repo.id))
-        .map(repo => ({
-            id: repo.id,
-            full_name: repo.full_name,
-            name: repo.name,
-            owner: repo.owner,
-            owner_type: repo.owner_type,
-            pinned: false,
-            notes: ''
-        }));
-
-    setTrackedRepos(selectedRepos);
+        .map(repo => ({ ...repo, tags: repoTags.get(repo.id) || repo.tags }));
+    const keptIds = new Set(kept.map(repo => repo.id));
+    const added = allRepositories
+        .filter(repo => selectedRepoIds.has(repo.id) && !keptIds.has(repo.id))
+        .map(repo => ({ ...createTrackedRepo(repo), tags: repoTags.get(repo.id) || [] }));
+
+    setTrackedRepos([...kept, ...added]);
 
     // Redirect to dashboard
     window.location.href = 'dashboard.html';
@@ -275,7 +409,7 @@ function saveSelection() {
  */
 function showError(message) {
     const container = document.getElementById('repos-container');
-    container.innerHTML = `<div class="empty-state"><p style="color: #d73a49;">${message}</p></div>`;
+    container.innerHTML = `<div class="empty-state"><p style="color: var(--color-danger);">${message}</p></div>`;
 }
 
 /**
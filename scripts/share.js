@@ -0,0 +1,218 @@
+/**
+ * Shareable Links
+ * Encodes a set of tracked repositories and selected dashboard settings into a
+ * compressed, versioned URL fragment (dashboard.html#share=1.<data>). Fragments
+ * are never sent to a server, and links never carry the token. Opening a link
+ * resolves each repository with the viewer's own token.
+ */
+
+const SHARE_LINK_PARAM = 'share';
+const SHARE_LINK_VERSION = 1;
+
+// Keeps a link opened while signed out until sign-in completes
+const PENDING_SHARE_LINK_KEY = 'pending_share_link';
+
+// Settings that describe how repositories are shown, and so are worth sharing
+const SHAREABLE_SETTINGS = ['view_mode', 'density', 'default_sort', 'default_sort_order', 'show_org_badge'];
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} base64url string
+ */
+function bytesToBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64
+ * @param {string} text - base64url string
+ * @returns {Uint8Array} Bytes
+ */
+function base64UrlToBytes(text) {
+    return base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+/**
+ * Compress text with raw DEFLATE
+ * @param {string} text - Text to compress
+ * @returns {Promise<Uint8Array>} Compressed bytes
+ */
+async function compressText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decompress raw DEFLATE bytes to text
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @returns {Promise<string>} Text
+ */
+async function decompressText(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+/**
+ * Pick the shareable subset of dashboard settings
+ * @param {Object} settings - Dashboard settings
+ * @returns {Object} Settings listed in SHAREABLE_SETTINGS
+ */
+function pickShareableSettings(settings) {
+    const picked = {};
+
+    SHAREABLE_SETTINGS.forEach(key => {
+        if (key in settings) {
+            picked[key] = settings[key];
+        }
+    });
+
+    return picked;
+}
+
+/**
+ * Create a link that shares tracked repositories and, optionally, view settings
+ * @param {Array} repos - Tracked repository objects to share
+ * @param {Object|null} settings - Dashboard settings to share, or null for none
+ * @returns {Promise<string>} Absolute dashboard URL
+ */
+async function createShareLink(repos, settings = null) {
+    const payload = {
+        host: getStoredHost(),
+        repos: repos.map(repo => repo.full_name)
+    };
+
+    if (settings) {
+        payload.settings = pickShareableSettings(settings);
+    }
+
+    const data = bytesToBase64Url(await compressText(JSON.stringify(payload)));
+    const url = new URL('dashboard.html', window.location.href);
+    url.hash = `${SHARE_LINK_PARAM}=${SHARE_LINK_VERSION}.${data}`;
+
+    return url.toString();
+}
+
+/**
+ * Decode and check the data of a share link
+ * @param {string} encoded - Value of the share parameter (e.g., "1.<data>")
+ * @returns {Promise<Object>} { host, repos, settings }
+ * @throws {Error} UNSUPPORTED_SHARE_LINK or INVALID_SHARE_LINK
+ */
+async function decodeShareLink(encoded) {
+    const separator = encoded.indexOf('.');
+    const version = parseInt(encoded.slice(0, separator));
+
+    if (separator === -1 || version !== SHARE_LINK_VERSION) {
+        throw new Error(version > SHARE_LINK_VERSION ? 'UNSUPPORTED_SHARE_LINK' : 'INVALID_SHARE_LINK');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await decompressText(base64UrlToBytes(encoded.slice(separator + 1))));
+    } catch (error) {
+        throw new Error('INVALID_SHARE_LINK');
+    }
+
+    const fullNamePattern = /^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/;
+    if (!payload || !Array.isArray(payload.repos) ||
+        !payload.repos.every(name => typeof name === 'string' && fullNamePattern.test(name))) {
+        throw new Error('INVALID_SHARE_LINK');
+    }
+
+    // Only known settings of the right type are taken over
+    const settings = {};
+    if (payload.settings && typeof payload.settings === 'object') {
+        SHAREABLE_SETTINGS.forEach(key => {
+            if (typeof payload.settings[key] === typeof DEFAULT_DASHBOARD_SETTINGS[key]) {
+                settings[key] = payload.settings[key];
+            }
+        });
+    }
+
+    return {
+        host: typeof payload.host === 'string' ? payload.host : DEFAULT_GITHUB_HOST,
+        repos: [...new Set(payload.repos)],
+        settings
+    };
+}
+
+/**
+ * Get a user-facing message for a share link error
+ * @param {Error} error - Error thrown by decodeShareLink()
+ * @returns {string} Message
+ */
+function getShareLinkErrorMessage(error) {
+    if (error.message === 'UNSUPPORTED_SHARE_LINK') {
+        return 'This link was made by a newer version of the dashboard. Update this dashboard to open it.';
+    }
+
+    return 'This link is damaged or incomplete. Ask for a new one.';
+}
+
+/**
+ * Look up shared repositories with the viewer's token. Repositories it can't
+ * access are reported rather than dropped.
+ * @param {Array<string>} fullNames - Repository full names
+ * @returns {Promise<Object>} { repos: tracked repository objects, unavailable: [{ full_name, reason }] }
+ */
+async function resolveSharedRepos(fullNames) {
+    const results = await Promise.all(fullNames.map(async fullName => {
+        try {
+            return { repo: createTrackedRepo(await fetchRepositoryDetails(fullName)) };
+        } catch (error) {
+            return { unavailable: { full_name: fullName, reason: getAPIErrorMessage(error) } };
+        }
+    }));
+
+    return {
+        repos: results.filter(result => result.repo).map(result => result.repo),
+        unavailable: results.filter(result => result.unavailable).map(result => result.unavailable)
+    };
+}
+
+/**
+ * Turn a decoded share link into import data for planImport()/importData()
+ * @param {Object} shared - Result of decodeShareLink()
+ * @returns {Promise<Object>} { data, unavailable }
+ */
+async function buildSharedImport(shared) {
+    const { repos, unavailable } = await resolveSharedRepos(shared.repos);
+
+    const data = {
+        version: EXPORT_FORMAT_VERSION,
+        schema_version: CURRENT_SCHEMA_VERSION,
+        tracked_repos: repos
+    };
+
+    if (Object.keys(shared.settings).length > 0) {
+        data.dashboard_settings = shared.settings;
+    }
+
+    return { data, unavailable };
+}
+
+/**
+ * Move a share link from the URL into session storage, so it survives a detour
+ * through sign-in and isn't opened again on reload
+ */
+function stashShareLink() {
+    const encoded = new URLSearchParams(window.location.hash.slice(1)).get(SHARE_LINK_PARAM);
+
+    if (encoded) {
+        sessionStorage.setItem(PENDING_SHARE_LINK_KEY, encoded);
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+}
+
+/**
+ * Take the share link waiting to be opened, if any
+ * @returns {string|null} Value of the share parameter
+ */
+function takePendingShareLink() {
+    stashShareLink();
+
+    const encoded = sessionStorage.getItem(PENDING_SHARE_LINK_KEY);
+    sessionStorage.removeItem(PENDING_SHARE_LINK_KEY);
+    return encoded;
+}
@@ -1,6 +1,12 @@
 /**
  * LocalStorage Management System
  * Comprehensive utilities for managing application data in browser storage
+ * Stored data is upgraded to the current schema at startup (see migrations.js).
+ *
+ * All keys below are namespaced per account (see accounts.js). Functions act on
+ * the active account unless an account ID is passed. Cached API responses live
+ * in IndexedDB instead (see cache.js). Setters tell other open tabs about
+ * their writes (see sync.js).
  */
 
 // Storage keys
@@ -11,28 +17,59 @@ const STORAGE_KEYS = {
     ORGANIZATIONS_TIMESTAMP: 'organizations_timestamp',
     TRACKED_REPOS: 'tracked_repos',
     DASHBOARD_SETTINGS: 'dashboard_settings',
-    CACHE: 'api_cache',
-    LAST_REFRESH: 'last_refresh'
+    CACHE: 'api_cache', // Legacy; moved to IndexedDB on first load
+    LAST_REFRESH: 'last_refresh',
+    DATA_UPDATED_AT: 'data_updated_at'
 };
 
 // Default dashboard settings
 const DEFAULT_DASHBOARD_SETTINGS = {
     view_mode: 'grid',
     theme: 'auto',
+    // Accent color ("#rrggbb", empty for the theme's) and colors per organization login
+    accent_color: '',
+    org_colors: {},
     auto_refresh: false,
     refresh_interval: 300,
     density: 'comfortable',
     show_org_badge: true,
     default_sort: 'updated',
-    default_sort_order: 'desc'
+    default_sort_order: 'desc',
+    // Table view: hidden column keys and column widths in pixels
+    table_columns: { hidden: [], widths: {} },
+    // Sections to group repositories into ('' for none, or a key of DASHBOARD_GROUPS),
+    // and the sections collapsed, as `${group_by}:${section key}`
+    group_by: '',
+    collapsed_groups: [],
+    // Tag name -> "#rrggbb"
+    tag_colors: {}
 };
 
+// Field types of a tracked repository in the current schema
+const TRACKED_REPO_FIELDS = {
+    id: 'number',
+    full_name: 'string',
+    name: 'string',
+    owner: 'string',
+    owner_type: 'string',
+    pinned: 'boolean',
+    notes: 'string'
+};
+
+// GitHub owner and repository names; also keeps imported names safe to render
+const GITHUB_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Tag names: up to 32 letters, digits, inner spaces and a little punctuation
+// (nothing HTML needs escaped), starting with a letter or digit
+const TAG_PATTERN = /^[\p{L}\p{N}](?:[\p{L}\p{N} _.+#/-]{0,30}[\p{L}\p{N}_.+#/-])?$/u;
+
 /**
  * Get the active storage (localStorage or sessionStorage)
- * @returns {Storage} Active storage object
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Storage} Storage holding the account's data
  */
-function getActiveStorage() {
-    return localStorage.getItem(STORAGE_KEYS.PAT) ? localStorage : sessionStorage;
+function getActiveStorage(accountId = getActiveAccountId()) {
+    return getAccountStorage(accountId);
 }
 
 /**
@@ -51,48 +88,65 @@ function isLocalStorageAvailable() {
 }
 
 /**
- * Get storage size information
- * @returns {Object} Storage size information
+ * Get the size of a storage item
+ * @param {string} key - Storage key
+ * @param {string} value - Stored value
+ * @returns {number} Size in bytes (Web Storage keeps strings as UTF-16)
  */
-function getStorageInfo() {
-    if (!isLocalStorageAvailable()) {
-        return { used: 0, available: 0, percentage: 0 };
-    }
+function getStorageItemSize(key, value) {
+    return (key.length + value.length) * 2;
+}
 
-    let used = 0;
-    for (let key in localStorage) {
-        if (localStorage.hasOwnProperty(key)) {
-            used += localStorage[key].length + key.length;
-        }
+/**
+ * Add up the size of every item in a storage
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {number} Size in bytes
+ */
+function measureStorage(storage) {
+    let bytes = 0;
+
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        bytes += getStorageItemSize(key, storage.getItem(key));
     }
 
-    // Typical localStorage limit is 5-10MB, we'll use 5MB as conservative estimate
-    const limit = 5 * 1024 * 1024; // 5MB in bytes
-    const available = limit - used;
-    const percentage = (used / limit) * 100;
+    return bytes;
+}
 
-    return {
-        used: Math.round(used / 1024), // KB
-        available: Math.round(available / 1024), // KB
-        percentage: Math.round(percentage * 10) / 10,
-        limit: Math.round(limit / 1024) // KB
+/**
+ * Get storage size information. Browsers don't expose the Web Storage limit,
+ * so the quota is the origin's as reported by the Storage API (it covers the
+ * IndexedDB cache too).
+ * @returns {Promise<Object>} { local, session, usage, quota } in bytes; usage and quota are null if unknown
+ */
+async function getStorageInfo() {
+    const info = {
+        local: isLocalStorageAvailable() ? measureStorage(localStorage) : 0,
+        session: measureStorage(sessionStorage),
+        usage: null,
+        quota: null
     };
+
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            const estimate = await navigator.storage.estimate();
+            info.usage = estimate.usage;
+            info.quota = estimate.quota;
+        } catch (e) {
+            console.warn('Failed to estimate storage usage:', e);
+        }
+    }
+
+    return info;
 }
 
 /**
- * Handle localStorage quota exceeded errors
+ * Handle localStorage quota exceeded errors. Only small settings live in
+ * localStorage now, so there is no cache to drop to make room.
  * @param {Error} error - The error that occurred
  */
 function handleQuotaExceeded(error) {
     console.error('localStorage quota exceeded:', error);
-
-    // Try to clear old cache entries
-    clearStaleCache();
-
-    // If still exceeding, clear all cache
-    const storage = getActiveStorage();
-    storage.removeItem(STORAGE_KEYS.CACHE);
-
     throw new Error('STORAGE_QUOTA_EXCEEDED');
 }
 
@@ -100,18 +154,14 @@ function handleQuotaExceeded(error) {
  * Safe set item with quota handling
  * @param {string} key - Storage key
  * @param {string} value - Value to store
- * @param {boolean} useSession - Use sessionStorage instead of localStorage
+ * @param {Storage} storage - Storage to write to (defaults to the active account's storage)
  */
-function safeSetItem(key, value, useSession = false) {
-    const storage = useSession ? sessionStorage : getActiveStorage();
-
+function safeSetItem(key, value, storage = getActiveStorage()) {
     try {
         storage.setItem(key, value);
     } catch (e) {
         if (e.name === 'QuotaExceededError') {
             handleQuotaExceeded(e);
-            // Try again after cleanup
-            storage.setItem(key, value);
         } else {
             throw e;
         }
@@ -126,7 +176,7 @@ function safeSetItem(key, value, useSession = false) {
  */
 function getDashboardSettings() {
     const storage = getActiveStorage();
-    const settingsStr = storage.getItem(STORAGE_KEYS.DASHBOARD_SETTINGS);
+    const settingsStr = storage.getItem(getAccountKey(STORAGE_KEYS.DASHBOARD_SETTINGS));
 
     if (!settingsStr) {
         return { ...DEFAULT_DASHBOARD_SETTINGS };
@@ -149,7 +199,9 @@ function setDashboardSettings(settings) {
     const currentSettings = getDashboardSettings();
     const newSettings = { ...currentSettings, ...settings };
 
-    safeSetItem(STORAGE_KEYS.DASHBOARD_SETTINGS, JSON.stringify(newSettings));
+    safeSetItem(getAccountKey(STORAGE_KEYS.DASHBOARD_SETTINGS), JSON.stringify(newSettings));
+    setDataUpdatedAt();
+    broadcastChange(SYNC_TOPICS.DASHBOARD_SETTINGS);
 }
 
 /**
@@ -157,18 +209,21 @@ function setDashboardSettings(settings) {
  */
 function resetDashboardSettings() {
     const storage = getActiveStorage();
-    storage.removeItem(STORAGE_KEYS.DASHBOARD_SETTINGS);
+    storage.removeItem(getAccountKey(STORAGE_KEYS.DASHBOARD_SETTINGS));
+    setDataUpdatedAt();
+    broadcastChange(SYNC_TOPICS.DASHBOARD_SETTINGS);
 }
 
 // ==================== Tracked Repositories ====================
 
 /**
  * Get tracked repositories
+ * @param {string} accountId - Account ID (defaults to the active account)
  * @returns {Array} Array of tracked repository objects
  */
-function getTrackedRepos() {
-    const storage = getActiveStorage();
-    const reposStr = storage.getItem(STORAGE_KEYS.TRACKED_REPOS);
+function getTrackedRepos(accountId = getActiveAccountId()) {
+    const storage = getActiveStorage(accountId);
+    const reposStr = storage.getItem(getAccountKey(STORAGE_KEYS.TRACKED_REPOS, accountId));
 
     if (!reposStr) {
         return [];
@@ -185,47 +240,70 @@ function getTrackedRepos() {
 /**
  * Set tracked repositories
  * @param {Array} repos - Array of repository objects
+ * @param {string} accountId - Account ID (defaults to the active account)
+ */
+function setTrackedRepos(repos, accountId = getActiveAccountId()) {
+    safeSetItem(getAccountKey(STORAGE_KEYS.TRACKED_REPOS, accountId), JSON.stringify(repos), getActiveStorage(accountId));
+    setDataUpdatedAt(Date.now(), accountId);
+    broadcastChange(SYNC_TOPICS.TRACKED_REPOS, accountId);
+}
+
+/**
+ * Get tracked repositories of every account, for the combined view
+ * @returns {Array} Array of { account, repo } objects
+ */
+function getAllAccountsTrackedRepos() {
+    return getAccounts().flatMap(account =>
+        getTrackedRepos(account.id).map(repo => ({ account, repo }))
+    );
+}
+
+/**
+ * Build a tracked repository record in the current schema
+ * @param {Object} repo - Repository as returned by normalizeRepository()
+ * @returns {Object} Tracked repository object with default fields
  */
-function setTrackedRepos(repos) {
-    safeSetItem(STORAGE_KEYS.TRACKED_REPOS, JSON.stringify(repos));
+function createTrackedRepo(repo) {
+    return {
+        id: repo.id,
+        full_name: repo.full_name,
+        name: repo.name,
+        owner: repo.owner.login,
+        owner_avatar_url: repo.owner.avatar_url,
+        owner_type: repo.owner_type,
+        pinned: false,
+        notes: '',
+        tags: []
+    };
 }
 
 /**
  * Add repository to tracked list
  * @param {Object} repo - Repository object to add
+ * @param {string} accountId - Account ID (defaults to the active account)
  * @returns {boolean} True if added, false if already exists
  */
-function addTrackedRepo(repo) {
-    const repos = getTrackedRepos();
+function addTrackedRepo(repo, accountId = getActiveAccountId()) {
+    const repos = getTrackedRepos(accountId);
 
     // Check if already tracked
     if (repos.some(r => r.id === repo.id)) {
         return false;
     }
 
-    // Add with default fields
-    const newRepo = {
-        id: repo.id,
-        full_name: repo.full_name,
-        name: repo.name,
-        owner: repo.owner,
-        owner_type: repo.owner_type,
-        pinned: false,
-        notes: ''
-    };
-
-    repos.push(newRepo);
-    setTrackedRepos(repos);
+    repos.push(createTrackedRepo(repo));
+    setTrackedRepos(repos, accountId);
     return true;
 }
 
 /**
  * Remove repository from tracked list
  * @param {number} repoId - Repository ID to remove
+ * @param {string} accountId - Account ID (defaults to the active account)
  * @returns {boolean} True if removed, false if not found
  */
-function removeTrackedRepo(repoId) {
-    const repos = getTrackedRepos();
+function removeTrackedRepo(repoId, accountId = getActiveAccountId()) {
+    const repos = getTrackedRepos(accountId);
     const initialLength = repos.length;
     const filtered = repos.filter(r => r.id !== repoId);
 
@@ -233,7 +311,7 @@ function removeTrackedRepo(repoId) {
         return false;
     }
 
-    setTrackedRepos(filtered);
+    setTrackedRepos(filtered, accountId);
     return true;
 }
 
@@ -241,10 +319,11 @@ function removeTrackedRepo(repoId) {
  * Update repository in tracked list
  * @param {number} repoId - Repository ID to update
  * @param {Object} updates - Fields to update
+ * @param {string} accountId - Account ID (defaults to the active account)
  * @returns {boolean} True if updated, false if not found
  */
-function updateTrackedRepo(repoId, updates) {
-    const repos = getTrackedRepos();
+function updateTrackedRepo(repoId, updates, accountId = getActiveAccountId()) {
+    const repos = getTrackedRepos(accountId);
     const index = repos.findIndex(r => r.id === repoId);
 
     if (index === -1) {
@@ -252,155 +331,109 @@ function updateTrackedRepo(repoId, updates) {
     }
 
     repos[index] = { ...repos[index], ...updates };
-    setTrackedRepos(repos);
+    setTrackedRepos(repos, accountId);
     return true;
 }
 
 /**
- * Get repository by ID
- * @param {number} repoId - Repository ID
- * @returns {Object|null} Repository object or null if not found
+ * Put a removed repository back where it was (e.g., to undo a removal)
+ * @param {Object} repo - Tracked repository object as it was stored
+ * @param {number} index - Position it had in the tracked list
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {boolean} True if restored, false if it is tracked again already
  */
-function getTrackedRepoById(repoId) {
-    const repos = getTrackedRepos();
-    return repos.find(r => r.id === repoId) || null;
-}
+function restoreTrackedRepo(repo, index, accountId = getActiveAccountId()) {
+    const repos = getTrackedRepos(accountId);
 
-// ==================== Cache Management ====================
-
-/**
- * Get cache object
- * @returns {Object} Cache object
- */
-function getCache() {
-    const storage = getActiveStorage();
-    const cacheStr = storage.getItem(STORAGE_KEYS.CACHE);
-
-    if (!cacheStr) {
-        return {};
-    }
-
-    try {
-        return JSON.parse(cacheStr);
-    } catch (e) {
-        console.error('Failed to parse cache:', e);
-        return {};
+    if (repos.some(r => r.id === repo.id)) {
+        return false;
     }
-}
 
-/**
- * Set cache object
- * @param {Object} cache - Cache object
- */
-function setCache(cache) {
-    safeSetItem(STORAGE_KEYS.CACHE, JSON.stringify(cache));
+    repos.splice(Math.min(index, repos.length), 0, repo);
+    setTrackedRepos(repos, accountId);
+    return true;
 }
 
 /**
- * Get cached value
- * @param {string} key - Cache key
- * @returns {any} Cached value or null if not found or expired
+ * Reorder some tracked repositories among themselves (e.g., pinned ones after
+ * a drag), leaving the others in place
+ * @param {Array<number>} orderedIds - IDs of the repositories, in their new order
+ * @param {string} accountId - Account ID (defaults to the active account)
  */
-function getCachedValue(key) {
-    const cache = getCache();
-    const entry = cache[key];
-
-    if (!entry) {
-        return null;
-    }
-
-    // Check if expired
-    if (entry.expires && Date.now() > entry.expires) {
-        return null;
-    }
-
-    return entry.data;
+function reorderTrackedRepos(orderedIds, accountId = getActiveAccountId()) {
+    const repos = getTrackedRepos(accountId);
+    const byId = new Map(repos.map(repo => [repo.id, repo]));
+    const moving = new Set(orderedIds.filter(id => byId.has(id)));
+    const queue = orderedIds.filter(id => moving.has(id));
+
+    // The moved repositories take over the slots they occupied, in the new order
+    const reordered = repos.map(repo => moving.has(repo.id) ? byId.get(queue.shift()) : repo);
+    setTrackedRepos(reordered, accountId);
 }
 
 /**
- * Set cached value with TTL
- * @param {string} key - Cache key
- * @param {any} data - Data to cache
- * @param {number} ttlMinutes - Time to live in minutes
+ * Get repository by ID
+ * @param {number} repoId - Repository ID
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Object|null} Repository object or null if not found
  */
-function setCachedValue(key, data, ttlMinutes) {
-    const cache = getCache();
-    const expires = Date.now() + (ttlMinutes * 60 * 1000);
-
-    cache[key] = {
-        data,
-        expires,
-        timestamp: Date.now()
-    };
-
-    setCache(cache);
+function getTrackedRepoById(repoId, accountId = getActiveAccountId()) {
+    const repos = getTrackedRepos(accountId);
+    return repos.find(r => r.id === repoId) || null;
 }
 
-/**
- * Remove cached value
- * @param {string} key - Cache key
- */
-function removeCachedValue(key) {
-    const cache = getCache();
-    delete cache[key];
-    setCache(cache);
-}
+// ==================== Last Refresh ====================
 
 /**
- * Clear stale cache entries
+ * Get last refresh timestamp
+ * @returns {number|null} Timestamp or null if never refreshed
  */
-function clearStaleCache() {
-    const cache = getCache();
-    const now = Date.now();
-    const cleaned = {};
-
-    for (const key in cache) {
-        const entry = cache[key];
-        if (!entry.expires || entry.expires > now) {
-            cleaned[key] = entry;
-        }
-    }
-
-    setCache(cleaned);
+function getLastRefresh() {
+    const storage = getActiveStorage();
+    const timestamp = storage.getItem(getAccountKey(STORAGE_KEYS.LAST_REFRESH));
+    return timestamp ? parseInt(timestamp) : null;
 }
 
 /**
- * Clear all cache entries
+ * Set last refresh timestamp
  */
-function clearAllCache() {
+function setLastRefresh() {
     const storage = getActiveStorage();
-    storage.removeItem(STORAGE_KEYS.CACHE);
+    storage.setItem(getAccountKey(STORAGE_KEYS.LAST_REFRESH), Date.now().toString());
 }
 
-// ==================== Last Refresh ====================
-
 /**
- * Get last refresh timestamp
- * @returns {number|null} Timestamp or null if never refreshed
+ * Get when tracked repos or settings last changed
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {number|null} Timestamp or null if never changed
  */
-function getLastRefresh() {
-    const storage = getActiveStorage();
-    const timestamp = storage.getItem(STORAGE_KEYS.LAST_REFRESH);
+function getDataUpdatedAt(accountId = getActiveAccountId()) {
+    const timestamp = getActiveStorage(accountId).getItem(getAccountKey(STORAGE_KEYS.DATA_UPDATED_AT, accountId));
     return timestamp ? parseInt(timestamp) : null;
 }
 
 /**
- * Set last refresh timestamp
+ * Record when tracked repos or settings changed (e.g., for Gist backup conflicts)
+ * @param {number} timestamp - Time of the change (defaults to now)
+ * @param {string} accountId - Account ID (defaults to the active account)
  */
-function setLastRefresh() {
-    const storage = getActiveStorage();
-    storage.setItem(STORAGE_KEYS.LAST_REFRESH, Date.now().toString());
+function setDataUpdatedAt(timestamp = Date.now(), accountId = getActiveAccountId()) {
+    getActiveStorage(accountId).setItem(getAccountKey(STORAGE_KEYS.DATA_UPDATED_AT, accountId), timestamp.toString());
 }
 
 // ==================== Export/Import ====================
 
+// Format version of exported files, independent of the storage schema version
+const EXPORT_FORMAT_VERSION = '1.0';
+
 /**
  * Export all application data
  * @returns {Object} Application data object
  */
 function exportData() {
     return {
-        version: '1.0',
+        version: EXPORT_FORMAT_VERSION,
+        schema_version: CURRENT_SCHEMA_VERSION,
         exported_at: new Date().toISOString(),
         user_info: getStoredUserInfo(),
         organizations: getStoredOrganizations(),
@@ -411,28 +444,157 @@ function exportData() {
 }
 
 /**
- * Import application data (excluding PAT)
- * @param {Object} data - Data object to import
- * @returns {boolean} True if successful
+ * Check an exported file before importing it
+ * @param {Object} data - Parsed file contents
+ * @returns {Object} { valid, errors } with one readable message per problem
  */
-function importData(data) {
-    try {
-        if (data.user_info) {
-            storeUserInfo(data.user_info);
-        }
+function validateImportData(data) {
+    const errors = [];
 
-        if (data.organizations) {
-            storeOrganizations(data.organizations);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['The file does not contain dashboard data.'] };
+    }
+
+    if (data.version === undefined) {
+        errors.push('The file has no format version. Only files saved with "Export" can be imported.');
+    } else if (data.version !== EXPORT_FORMAT_VERSION) {
+        errors.push(`The file uses export format ${data.version}, but only format ${EXPORT_FORMAT_VERSION} is supported.`);
+    }
+
+    // Files exported before schema versioning have no schema_version
+    const schemaVersion = data.schema_version === undefined ? INITIAL_SCHEMA_VERSION : data.schema_version;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < INITIAL_SCHEMA_VERSION) {
+        errors.push(`The file has an invalid schema version (${JSON.stringify(data.schema_version)}).`);
+    } else if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+        errors.push(`The file was exported by a newer version of the dashboard (schema ${schemaVersion}). Update this dashboard to import it.`);
+    }
+
+    if (data.tracked_repos === undefined && data.dashboard_settings === undefined) {
+        errors.push('The file contains neither tracked repositories nor dashboard settings.');
+    }
+
+    if (data.tracked_repos !== undefined) {
+        if (!Array.isArray(data.tracked_repos)) {
+            errors.push('"tracked_repos" should be a list of repositories.');
+        } else {
+            const seenIds = new Set();
+
+            data.tracked_repos.forEach((repo, index) => {
+                if (!repo || typeof repo !== 'object') {
+                    errors.push(`Repository ${index + 1} is not an object.`);
+                    return;
+                }
+
+                const label = `Repository ${index + 1}${typeof repo.full_name === 'string' ? ` (${repo.full_name})` : ''}`;
+                getTrackedRepoIssues(upgradeTrackedRepo(repo)).forEach(issue => {
+                    errors.push(`${label}: ${issue}.`);
+                });
+
+                if (seenIds.has(repo.id)) {
+                    errors.push(`${label} is listed more than once.`);
+                }
+                seenIds.add(repo.id);
+            });
         }
+    }
+
+    if (data.dashboard_settings !== undefined) {
+        const settings = data.dashboard_settings;
 
-        if (data.tracked_repos) {
-            setTrackedRepos(data.tracked_repos);
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            errors.push('"dashboard_settings" should be an object.');
+        } else {
+            // Unknown settings (e.g., from a newer version) are ignored, not rejected
+            Object.keys(DEFAULT_DASHBOARD_SETTINGS).forEach(key => {
+                const expected = typeof DEFAULT_DASHBOARD_SETTINGS[key];
+                if (key in settings && typeof settings[key] !== expected) {
+                    errors.push(`Setting "${key}" should be a ${expected}, not ${JSON.stringify(settings[key])}.`);
+                }
+            });
+
+            // Color names are shown in the page and colors end up in styles
+            Object.entries({ org_colors: GITHUB_NAME_PATTERN, tag_colors: TAG_PATTERN }).forEach(([key, namePattern]) => {
+                if (isPlainObject(settings[key]) && Object.entries(settings[key])
+                    .some(([name, color]) => !namePattern.test(name) || !isThemeColor(color))) {
+                    errors.push(`Setting "${key}" should map valid names to "#rrggbb" colors.`);
+                }
+            });
         }
+    }
 
-        if (data.dashboard_settings) {
-            setDashboardSettings(data.dashboard_settings);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Work out what importing a file would change, without writing anything.
+ * "replace" makes the file's repositories and settings the whole state;
+ * "merge" adds the file's repositories to the tracked ones, keeping local
+ * notes and pins for repositories tracked in both.
+ * @param {Object} data - Exported data that passed validateImportData()
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Object} { repos, added, removed, settings, settingChanges }
+ */
+function planImport(data, mode) {
+    const localRepos = getTrackedRepos();
+    let repos = localRepos;
+    let added = [];
+    let removed = [];
+
+    if (data.tracked_repos) {
+        const importedRepos = data.tracked_repos.map(upgradeTrackedRepo);
+        const localIds = new Set(localRepos.map(repo => repo.id));
+        const importedIds = new Set(importedRepos.map(repo => repo.id));
+
+        added = importedRepos.filter(repo => !localIds.has(repo.id));
+
+        if (mode === 'merge') {
+            repos = [...localRepos, ...added];
+        } else {
+            removed = localRepos.filter(repo => !importedIds.has(repo.id));
+            repos = importedRepos;
         }
+    }
 
+    const currentSettings = getDashboardSettings();
+    let settings = currentSettings;
+
+    if (data.dashboard_settings) {
+        const importedSettings = {};
+        Object.keys(DEFAULT_DASHBOARD_SETTINGS).forEach(key => {
+            if (key in data.dashboard_settings) {
+                importedSettings[key] = data.dashboard_settings[key];
+            }
+        });
+
+        const base = mode === 'merge' ? currentSettings : DEFAULT_DASHBOARD_SETTINGS;
+        settings = { ...base, ...importedSettings };
+    }
+
+    const settingChanges = Object.keys(settings)
+        .filter(key => JSON.stringify(settings[key]) !== JSON.stringify(currentSettings[key]))
+        .map(key => ({ key, from: currentSettings[key], to: settings[key] }));
+
+    return { repos, added, removed, settings, settingChanges };
+}
+
+/**
+ * Import tracked repositories and dashboard settings. The token, user info and
+ * organizations belong to the signed-in account and are never imported.
+ * @param {Object} data - Data object to import
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {boolean} True if successful, false if the data is invalid or can't be stored
+ */
+function importData(data, mode = 'replace') {
+    const validation = validateImportData(data);
+    if (!validation.valid) {
+        console.error('Invalid import data:', validation.errors);
+        return false;
+    }
+
+    try {
+        const plan = planImport(data, mode);
+        setTrackedRepos(plan.repos);
+        setDashboardSettings(plan.settings);
         return true;
     } catch (e) {
         console.error('Failed to import data:', e);
@@ -443,8 +605,94 @@ function importData(data) {
 // ==================== Data Validation ====================
 
 /**
- * Validate data integrity on load
- * @returns {Object} Validation results
+ * Check a tracked repository against the current schema
+ * @param {Object} repo - Tracked repository object
+ * @returns {Array<string>} Problems found (e.g., "owner is not a string")
+ */
+function getTrackedRepoIssues(repo) {
+    const issues = [];
+
+    Object.entries(TRACKED_REPO_FIELDS).forEach(([field, type]) => {
+        if (typeof repo[field] !== type) {
+            issues.push(`${field} is not a ${type}`);
+        }
+    });
+
+    if (typeof repo.owner_type === 'string' && repo.owner_type !== 'User' && repo.owner_type !== 'Organization') {
+        issues.push(`unknown owner type "${repo.owner_type}"`);
+    }
+
+    if (typeof repo.name === 'string' && !GITHUB_NAME_PATTERN.test(repo.name)) {
+        issues.push('name is not a valid repository name');
+    }
+
+    if (typeof repo.owner === 'string' && !GITHUB_NAME_PATTERN.test(repo.owner)) {
+        issues.push('owner is not a valid login');
+    }
+
+    if (typeof repo.full_name === 'string' && repo.full_name !== `${repo.owner}/${repo.name}`) {
+        issues.push('full_name does not match owner and name');
+    }
+
+    if (repo.owner_avatar_url && !isWebURL(repo.owner_avatar_url)) {
+        issues.push('owner_avatar_url is not a web URL');
+    }
+
+    if (!Array.isArray(repo.tags)) {
+        issues.push('tags is not a list');
+    } else if (repo.tags.some(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag))) {
+        issues.push('tags has an invalid tag name');
+    }
+
+    return issues;
+}
+
+/**
+ * Read a JSON item of the active account without falling back to defaults,
+ * so corrupted entries can be told apart from missing ones
+ * @param {string} key - Storage key within the account
+ * @returns {Object} { present, value, corrupted }
+ */
+function readStoredJSON(key) {
+    const raw = getActiveStorage().getItem(getAccountKey(key));
+
+    if (raw === null) {
+        return { present: false, value: null, corrupted: false };
+    }
+
+    try {
+        return { present: true, value: JSON.parse(raw), corrupted: false };
+    } catch (e) {
+        return { present: true, value: null, corrupted: true };
+    }
+}
+
+/**
+ * Check whether a value is an absolute http(s) URL
+ * @param {any} value - Value to check
+ * @returns {boolean} True for web URLs
+ */
+function isWebURL(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the active account's stored data against the current schema version
+ * @returns {Object} { valid, issues }
  */
 function validateDataIntegrity() {
     const results = {
@@ -452,42 +700,116 @@ function validateDataIntegrity() {
         issues: []
     };
 
-    // Validate user info
-    const userInfo = getStoredUserInfo();
-    if (userInfo && (!userInfo.login || !userInfo.id)) {
+    const addIssue = (issue) => {
         results.valid = false;
-        results.issues.push('Invalid user info structure');
+        results.issues.push(issue);
+    };
+
+    // Validate schema version
+    const version = getSchemaVersion(getActiveStorage());
+    if (version !== CURRENT_SCHEMA_VERSION) {
+        addIssue(`Data is at schema version ${version}, expected ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    // Validate user info
+    const userInfo = readStoredJSON(STORAGE_KEYS.USER_INFO);
+    if (userInfo.corrupted) {
+        addIssue('User info is corrupted');
+    } else if (userInfo.present && (!isPlainObject(userInfo.value) || !userInfo.value.login || !userInfo.value.id)) {
+        addIssue('Invalid user info structure');
+    }
+
+    // Validate organizations
+    const organizations = readStoredJSON(STORAGE_KEYS.ORGANIZATIONS);
+    if (organizations.corrupted) {
+        addIssue('Organizations are corrupted');
+    } else if (organizations.present && !Array.isArray(organizations.value)) {
+        addIssue('Organizations is not an array');
     }
 
     // Validate tracked repos
-    const repos = getTrackedRepos();
-    if (!Array.isArray(repos)) {
-        results.valid = false;
-        results.issues.push('Tracked repos is not an array');
+    const repos = readStoredJSON(STORAGE_KEYS.TRACKED_REPOS);
+    if (repos.corrupted) {
+        addIssue('Tracked repos are corrupted');
+    } else if (repos.present && !Array.isArray(repos.value)) {
+        addIssue('Tracked repos is not an array');
+    } else if (repos.present) {
+        repos.value.forEach((repo, index) => {
+            if (!isPlainObject(repo)) {
+                addIssue(`Tracked repo ${index + 1} is not an object`);
+                return;
+            }
+
+            getTrackedRepoIssues(repo).forEach(issue => {
+                addIssue(`Tracked repo ${repo.full_name || repo.id}: ${issue}`);
+            });
+        });
     }
 
     // Validate dashboard settings
-    const settings = getDashboardSettings();
-    if (typeof settings !== 'object') {
-        results.valid = false;
-        results.issues.push('Dashboard settings is not an object');
+    const settings = readStoredJSON(STORAGE_KEYS.DASHBOARD_SETTINGS);
+    if (settings.corrupted) {
+        addIssue('Dashboard settings are corrupted');
+    } else if (settings.present && !isPlainObject(settings.value)) {
+        addIssue('Dashboard settings is not an object');
     }
 
     return results;
 }
 
-// ==================== Migration Utilities ====================
-
 /**
- * Migrate data from old schema to new schema
- * @param {string} fromVersion - Version to migrate from
+ * Fix what validateDataIntegrity() reports. Data fetched from GitHub is
+ * dropped to be fetched again; tracked repos are upgraded where possible and
+ * dropped otherwise; broken settings are reset to defaults.
+ * @returns {Array<string>} Repairs made
  */
-function migrateDataSchema(fromVersion) {
-    // Placeholder for future schema migrations
-    console.log(`Migrating data from version ${fromVersion}`);
+function repairDataIntegrity() {
+    const storage = getActiveStorage();
+    const repairs = [];
+
+    if (getSchemaVersion(storage) < CURRENT_SCHEMA_VERSION && migrateDataSchema(storage)) {
+        repairs.push(`Migrated data to schema version ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    const userInfo = readStoredJSON(STORAGE_KEYS.USER_INFO);
+    if (userInfo.corrupted || (userInfo.present && (!isPlainObject(userInfo.value) || !userInfo.value.login || !userInfo.value.id))) {
+        storage.removeItem(getAccountKey(STORAGE_KEYS.USER_INFO));
+        repairs.push('Removed user info, to be fetched again');
+    }
+
+    const organizations = readStoredJSON(STORAGE_KEYS.ORGANIZATIONS);
+    if (organizations.corrupted || (organizations.present && !Array.isArray(organizations.value))) {
+        storage.removeItem(getAccountKey(STORAGE_KEYS.ORGANIZATIONS));
+        storage.removeItem(getAccountKey(STORAGE_KEYS.ORGANIZATIONS_TIMESTAMP));
+        repairs.push('Removed organizations, to be fetched again');
+    }
+
+    const repos = readStoredJSON(STORAGE_KEYS.TRACKED_REPOS);
+    if (repos.corrupted || (repos.present && !Array.isArray(repos.value))) {
+        setTrackedRepos([]);
+        repairs.push('Cleared unreadable tracked repos');
+    } else if (repos.present) {
+        const repaired = repos.value
+            .filter(isPlainObject)
+            .map(upgradeTrackedRepo)
+            // Invalid tags are dropped rather than the whole repository
+            .map(repo => Array.isArray(repo.tags)
+                ? { ...repo, tags: repo.tags.filter(tag => typeof tag === 'string' && TAG_PATTERN.test(tag)) }
+                : repo)
+            .filter(repo => getTrackedRepoIssues(repo).length === 0);
+
+        if (JSON.stringify(repaired) !== JSON.stringify(repos.value)) {
+            setTrackedRepos(repaired);
+            const dropped = repos.value.length - repaired.length;
+            repairs.push(dropped > 0 ? `Removed ${dropped} broken tracked ${dropped === 1 ? 'repo' : 'repos'}` : 'Upgraded tracked repos');
+        }
+    }
+
+    const settings = readStoredJSON(STORAGE_KEYS.DASHBOARD_SETTINGS);
+    if (settings.corrupted || (settings.present && !isPlainObject(settings.value))) {
+        resetDashboardSettings();
+        repairs.push('Reset dashboard settings to defaults');
+    }
 
-    // Example migration logic would go here
-    // if (fromVersion === '1.0') {
-    //     // Migrate from 1.0 to 2.0
-    // }
+    return repairs;
 }
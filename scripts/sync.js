@@ -0,0 +1,138 @@
+/**
+ * Cross-Tab Synchronization
+ * Tells other open tabs when tracked repositories, dashboard settings or
+ * signed-in accounts change, so they can re-render instead of showing stale
+ * data. Uses a BroadcastChannel where available, otherwise the `storage`
+ * event that localStorage writes fire in other tabs.
+ *
+ * Session-only accounts live in one tab's sessionStorage, so changes to
+ * their data are never broadcast.
+ */
+
+const SYNC_CHANNEL_NAME = 'multi-repo-dashboard-sync';
+
+// What changed; listeners subscribe per topic. Named after the storage keys
+// they cover, which is how storage events are mapped to topics.
+const SYNC_TOPICS = {
+    TRACKED_REPOS: 'tracked_repos',
+    DASHBOARD_SETTINGS: 'dashboard_settings',
+    ACCOUNTS: 'accounts'
+};
+
+const syncListeners = new Map();
+
+let syncChannel = null;
+
+/**
+ * Tell other tabs that data changed
+ * @param {string} topic - One of SYNC_TOPICS
+ * @param {string} accountId - Account whose data changed (defaults to the active account)
+ */
+function broadcastChange(topic, accountId = getActiveAccountId()) {
+    if (!syncChannel) {
+        // Other tabs pick the write up from the storage event
+        return;
+    }
+
+    const account = accountId ? getAccount(accountId) : null;
+    if (topic !== SYNC_TOPICS.ACCOUNTS && account && account.storage === 'session') {
+        return;
+    }
+
+    syncChannel.postMessage({ topic, accountId });
+}
+
+/**
+ * Run a listener whenever another tab changes data
+ * @param {string} topic - One of SYNC_TOPICS
+ * @param {Function} listener - Called with the ID of the account whose data changed
+ */
+function onSyncChange(topic, listener) {
+    if (!syncListeners.has(topic)) {
+        syncListeners.set(topic, []);
+    }
+
+    syncListeners.get(topic).push(listener);
+}
+
+/**
+ * Pass a change from another tab on to this tab's listeners
+ * @param {string} topic - One of SYNC_TOPICS
+ * @param {string|null} accountId - Account whose data changed
+ */
+function dispatchSyncChange(topic, accountId) {
+    // Data of an account this tab doesn't know (e.g., session-only elsewhere) doesn't concern it
+    if (topic !== SYNC_TOPICS.ACCOUNTS && accountId && !getAccount(accountId)) {
+        return;
+    }
+
+    (syncListeners.get(topic) || []).forEach(listener => {
+        try {
+            listener(accountId);
+        } catch (error) {
+            console.error(`Failed to apply ${topic} change from another tab:`, error);
+        }
+    });
+}
+
+/**
+ * Map a localStorage write in another tab to a sync topic
+ * @param {StorageEvent} event - Storage event
+ */
+function handleStorageEvent(event) {
+    if (event.storageArea !== localStorage) {
+        return;
+    }
+
+    // clear() reports no key
+    if (event.key === null || event.key === SYNC_TOPICS.ACCOUNTS) {
+        dispatchSyncChange(SYNC_TOPICS.ACCOUNTS, null);
+        return;
+    }
+
+    const separator = event.key.lastIndexOf(':');
+    if (separator === -1) {
+        return;
+    }
+
+    const accountId = event.key.slice(0, separator);
+    const key = event.key.slice(separator + 1);
+
+    if (key === SYNC_TOPICS.TRACKED_REPOS || key === SYNC_TOPICS.DASHBOARD_SETTINGS) {
+        dispatchSyncChange(key, accountId);
+    }
+}
+
+/**
+ * Start listening for changes from other tabs
+ */
+function initSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        syncChannel.onmessage = (event) => {
+            dispatchSyncChange(event.data.topic, event.data.accountId);
+        };
+    } else {
+        window.addEventListener('storage', handleStorageEvent);
+    }
+}
+
+/**
+ * Leave the page when another tab signs out the account it shows: go to the
+ * sign-in page if no account is left, otherwise reload with the next account
+ * @param {string} displayedAccountId - Account the page was rendered for
+ * @param {Function} onOtherChange - Optional callback when accounts changed but the page can stay
+ */
+function followSignOut(displayedAccountId, onOtherChange = null) {
+    onSyncChange(SYNC_TOPICS.ACCOUNTS, () => {
+        if (!getActiveAccount()) {
+            window.location.href = 'auth.html';
+        } else if (!getAccount(displayedAccountId)) {
+            window.location.reload();
+        } else if (onOtherChange) {
+            onOtherChange();
+        }
+    });
+}
+
+initSync();
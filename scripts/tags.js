@@ -0,0 +1,106 @@
+/**
+ * Repository Tags
+ * User-defined tags (e.g., "frontend", "infra", "client-x") for grouping
+ * tracked repositories. Tags are stored on each tracked repository; the colors
+ * chosen for them are dashboard settings. Tags are compared ignoring case and
+ * keep the spelling they were first given.
+ */
+
+// Shown when a tag name is rejected
+const TAG_RULES = 'Tags can have up to 32 letters, digits and spaces, plus _ . + # / - and must start with a letter or digit.';
+
+/**
+ * Clean up a tag name as typed
+ * @param {string} name - Tag name
+ * @returns {string|null} Tag with surrounding and repeated spaces removed, or null if not a valid tag
+ */
+function normalizeTag(name) {
+    const tag = String(name).trim().replace(/\s+/g, ' ');
+    return TAG_PATTERN.test(tag) ? tag : null;
+}
+
+/**
+ * Check whether a list of tags includes a tag, ignoring case
+ * @param {Array<string>} tags - Tags
+ * @param {string} tag - Tag to look for
+ * @returns {boolean} True if included
+ */
+function hasTag(tags, tag) {
+    return tags.some(other => other.toLowerCase() === tag.toLowerCase());
+}
+
+/**
+ * Add tags to a list, skipping those already in it
+ * @param {Array<string>} tags - Current tags (not modified)
+ * @param {Array<string>} added - Tags to add
+ * @returns {Array<string>} New list
+ */
+function addTags(tags, added) {
+    return added.reduce((result, tag) => hasTag(result, tag) ? result : [...result, tag], [...tags]);
+}
+
+/**
+ * Remove tags from a list
+ * @param {Array<string>} tags - Current tags (not modified)
+ * @param {Array<string>} removed - Tags to remove
+ * @returns {Array<string>} New list
+ */
+function removeTags(tags, removed) {
+    return tags.filter(tag => !hasTag(removed, tag));
+}
+
+/**
+ * Get every tag in use or given a color, to suggest when tagging.
+ * Names that aren't valid tags are left out.
+ * @param {Array<Object>} trackedRepos - Tracked repository objects
+ * @param {Object} settings - Dashboard settings (defaults to the active account's)
+ * @returns {Array<string>} Tags, sorted by name
+ */
+function getKnownTags(trackedRepos, settings = getDashboardSettings()) {
+    const colored = Object.keys(isPlainObject(settings.tag_colors) ? settings.tag_colors : {});
+    const names = [...trackedRepos.flatMap(repo => repo.tags || []), ...colored];
+    const tags = addTags([], names.filter(tag => typeof tag === 'string' && TAG_PATTERN.test(tag)));
+
+    return tags.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Get the color chosen for a tag
+ * @param {string} tag - Tag
+ * @param {Object} settings - Dashboard settings (defaults to the active account's)
+ * @returns {string|null} "#rrggbb" color, or null if none was chosen
+ */
+function getTagColor(tag, settings = getDashboardSettings()) {
+    return getNamedColor(settings.tag_colors, tag);
+}
+
+/**
+ * Set or clear the color chosen for a tag
+ * @param {string} tag - Tag
+ * @param {string|null} color - "#rrggbb" color, or null to clear it
+ */
+function setTagColor(tag, color) {
+    setDashboardSettings({ tag_colors: withNamedColor(getDashboardSettings().tag_colors, tag, color) });
+}
+
+/**
+ * Render tags as badges, in their colors. Tag names can't contain anything
+ * HTML needs escaped (see TAG_PATTERN); other values are left out.
+ * @param {Array<string>} tags - Tags
+ * @param {Object} settings - Dashboard settings (defaults to the active account's)
+ * @returns {string} HTML, empty without tags
+ */
+function renderTagBadges(tags, settings = getDashboardSettings()) {
+    const valid = (Array.isArray(tags) ? tags : []).filter(tag => typeof tag === 'string' && TAG_PATTERN.test(tag));
+
+    if (valid.length === 0) {
+        return '';
+    }
+
+    return `<span class="repo-tags">${valid.map(tag => {
+        const color = getTagColor(tag, settings);
+        return color
+            ? `<span class="repo-tag tag-colored" style="--tag-color: ${color}; --tag-text-color: ${getTextColorFor(color)}">${tag}</span>`
+            : `<span class="repo-tag">${tag}</span>`;
+    }).join('')}</span>`;
+}
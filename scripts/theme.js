@@ -0,0 +1,149 @@
+/**
+ * Themes
+ * Applies the light, dark or automatic theme and the accent colors chosen in
+ * the dashboard settings. Pages load this in their <head>, after storage.js,
+ * so the theme is in place before the first paint. The colors themselves are
+ * CSS custom properties in styles/common.css.
+ */
+
+const THEMES = {
+    auto: 'Match system',
+    light: 'Light',
+    dark: 'Dark'
+};
+
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Text colors on an accent background, picked by the accent's lightness
+const LIGHT_TEXT_COLOR = '#ffffff';
+const DARK_TEXT_COLOR = '#0d1117';
+
+/**
+ * Check whether a value is a color the theme settings accept
+ * @param {*} value - Value to check
+ * @returns {boolean} True for "#rrggbb" colors
+ */
+function isThemeColor(value) {
+    return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+}
+
+/**
+ * Get the theme to show for a theme setting
+ * @param {string} theme - 'auto', 'light' or 'dark'
+ * @returns {string} 'light' or 'dark'
+ */
+function resolveTheme(theme) {
+    if (theme === 'light' || theme === 'dark') {
+        return theme;
+    }
+
+    return window.matchMedia && window.matchMedia(DARK_SCHEME_QUERY).matches ? 'dark' : 'light';
+}
+
+/**
+ * Pick readable text for a background color
+ * @param {string} color - "#rrggbb" color
+ * @returns {string} Light or dark text color
+ */
+function getTextColorFor(color) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16) / 255)
+        .map(c => c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+    // Where contrast with white and with near-black is equal
+    return luminance > 0.179 ? DARK_TEXT_COLOR : LIGHT_TEXT_COLOR;
+}
+
+/**
+ * Look up a color in a map of names to colors, ignoring case
+ * @param {Object} colors - Name -> "#rrggbb" (e.g., the org_colors setting)
+ * @param {string} name - Name to look up
+ * @returns {string|null} "#rrggbb" color, or null if none was chosen
+ */
+function getNamedColor(colors, name) {
+    const map = isPlainObject(colors) ? colors : {};
+    const key = Object.keys(map).find(other => other.toLowerCase() === name.toLowerCase());
+
+    return key && isThemeColor(map[key]) ? map[key] : null;
+}
+
+/**
+ * Copy a map of names to colors with one name's color set or cleared
+ * @param {Object} colors - Name -> "#rrggbb"
+ * @param {string} name - Name to change
+ * @param {string|null} color - "#rrggbb" color, or null to clear it
+ * @returns {Object} New map
+ */
+function withNamedColor(colors, name, color) {
+    const updated = {};
+
+    // Keys differing only in case are the same name
+    Object.entries(isPlainObject(colors) ? colors : {}).forEach(([other, value]) => {
+        if (other.toLowerCase() !== name.toLowerCase()) {
+            updated[other] = value;
+        }
+    });
+
+    if (isThemeColor(color)) {
+        updated[name] = color;
+    }
+
+    return updated;
+}
+
+/**
+ * Get the color chosen for an organization
+ * @param {string} login - Organization login
+ * @param {Object} settings - Dashboard settings (defaults to the active account's)
+ * @returns {string|null} "#rrggbb" color, or null if none was chosen
+ */
+function getOrgColor(login, settings = getDashboardSettings()) {
+    return getNamedColor(settings.org_colors, login);
+}
+
+/**
+ * Set or clear the color chosen for an organization
+ * @param {string} login - Organization login
+ * @param {string|null} color - "#rrggbb" color, or null to clear it
+ */
+function setOrgColor(login, color) {
+    setDashboardSettings({ org_colors: withNamedColor(getDashboardSettings().org_colors, login, color) });
+}
+
+/**
+ * Apply the theme and accent color of the dashboard settings to the page
+ * @param {Object} settings - Dashboard settings (defaults to the active account's)
+ */
+function applyTheme(settings = getDashboardSettings()) {
+    const root = document.documentElement;
+    root.dataset.theme = resolveTheme(settings.theme);
+
+    if (isThemeColor(settings.accent_color)) {
+        root.style.setProperty('--color-primary', settings.accent_color);
+        root.style.setProperty('--color-on-primary', getTextColorFor(settings.accent_color));
+    } else {
+        root.style.removeProperty('--color-primary');
+        root.style.removeProperty('--color-on-primary');
+    }
+}
+
+/**
+ * Follow system theme changes while the theme is 'auto'
+ */
+function initThemeListener() {
+    if (!window.matchMedia) {
+        return;
+    }
+
+    window.matchMedia(DARK_SCHEME_QUERY).addEventListener('change', () => {
+        if (getDashboardSettings().theme === 'auto') {
+            applyTheme();
+        }
+    });
+}
+
+// Before anything is drawn
+applyTheme();
+initThemeListener();
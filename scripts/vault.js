@@ -0,0 +1,371 @@
+/**
+ * Token Vault
+ * Opt-in passphrase lock for stored tokens. Locked tokens are kept encrypted
+ * (AES-GCM with a PBKDF2-derived key) and only decrypted into memory, so every
+ * page load starts locked until the passphrase is entered.
+ */
+
+const ENCRYPTED_TOKEN_KEY = 'github_pat_encrypted';
+const VAULT_SETTINGS_KEY = 'vault_settings';
+
+// PBKDF2 work factor (OWASP recommendation for PBKDF2-HMAC-SHA256)
+const VAULT_PBKDF2_ITERATIONS = 600000;
+
+const DEFAULT_VAULT_SETTINGS = {
+    auto_lock_minutes: 15 // 0 disables auto-lock
+};
+
+// Events that count as activity for auto-lock
+const VAULT_ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// Decrypted tokens and their keys, per account. Never written to storage.
+const unlockedVaults = new Map();
+
+// Called once the vault is unlocked from the unlock screen
+const vaultUnlockCallbacks = [];
+
+let autoLockTimer = null;
+let autoLockListening = false;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function deriveVaultKey(passphrase, salt, iterations = VAULT_PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt a token and store it for an account
+ * @param {string} token - Access token
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} params - { salt, iterations } the key was derived with
+ * @param {string} accountId - Account ID
+ */
+async function writeEncryptedToken(token, key, params, accountId) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(token)
+    );
+
+    getAccountStorage(accountId).setItem(getAccountKey(ENCRYPTED_TOKEN_KEY, accountId), JSON.stringify({
+        version: 1,
+        kdf: 'PBKDF2-SHA256',
+        iterations: params.iterations,
+        salt: bytesToBase64(params.salt),
+        iv: bytesToBase64(iv),
+        ciphertext: bytesToBase64(ciphertext)
+    }));
+}
+
+/**
+ * Get an account's encrypted token record
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Object|null} Encrypted record or null if the account isn't passphrase-locked
+ */
+function getEncryptedToken(accountId = getActiveAccountId()) {
+    if (!accountId) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(getAccountStorage(accountId).getItem(getAccountKey(ENCRYPTED_TOKEN_KEY, accountId)));
+    } catch (e) {
+        console.error('Failed to parse encrypted token:', e);
+        return null;
+    }
+}
+
+/**
+ * Check whether an account's token is passphrase-locked
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {boolean} True if the token is stored encrypted
+ */
+function isVaultEnabled(accountId = getActiveAccountId()) {
+    return getEncryptedToken(accountId) !== null;
+}
+
+/**
+ * Check whether an account's token is locked (encrypted and not yet unlocked)
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {boolean} True if the passphrase is needed before making requests
+ */
+function isVaultLocked(accountId = getActiveAccountId()) {
+    return isVaultEnabled(accountId) && !unlockedVaults.has(accountId);
+}
+
+/**
+ * Get an account's decrypted token from memory
+ * @param {string} accountId - Account ID
+ * @returns {string|null} Token, or null while locked
+ */
+function getUnlockedToken(accountId) {
+    const vault = unlockedVaults.get(accountId);
+    return vault ? vault.token : null;
+}
+
+/**
+ * Lock an account's token with a passphrase, replacing its plain-text copy
+ * @param {string} token - Access token
+ * @param {string} passphrase - User passphrase
+ * @param {string} accountId - Account ID
+ */
+async function enableVault(token, passphrase, accountId) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const params = { salt, iterations: VAULT_PBKDF2_ITERATIONS };
+    const key = await deriveVaultKey(passphrase, salt, params.iterations);
+
+    await writeEncryptedToken(token, key, params, accountId);
+    getAccountStorage(accountId).removeItem(getAccountKey('github_pat', accountId));
+
+    unlockedVaults.set(accountId, { token, key, params });
+}
+
+/**
+ * Store a new token for an account, encrypting it if the account is passphrase-locked
+ * (e.g., after an OAuth token refresh)
+ * @param {string} token - Access token
+ * @param {string} accountId - Account ID
+ */
+async function saveAccountToken(token, accountId) {
+    const vault = unlockedVaults.get(accountId);
+
+    if (vault) {
+        await writeEncryptedToken(token, vault.key, vault.params, accountId);
+        vault.token = token;
+        return;
+    }
+
+    getAccountStorage(accountId).setItem(getAccountKey('github_pat', accountId), token);
+}
+
+/**
+ * Decrypt an account's token into memory
+ * @param {string} passphrase - User passphrase
+ * @param {string} accountId - Account ID (defaults to the active account)
+ * @returns {Promise<string>} Decrypted token
+ * @throws {Error} WRONG_PASSPHRASE if decryption fails
+ */
+async function unlockVault(passphrase, accountId = getActiveAccountId()) {
+    const record = getEncryptedToken(accountId);
+
+    if (!record) {
+        throw new Error('NOT_LOCKED');
+    }
+
+    const params = { salt: base64ToBytes(record.salt), iterations: record.iterations };
+    const key = await deriveVaultKey(passphrase, params.salt, params.iterations);
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(record.iv) },
+            key,
+            base64ToBytes(record.ciphertext)
+        );
+    } catch (error) {
+        // AES-GCM authentication fails for a wrong key
+        throw new Error('WRONG_PASSPHRASE');
+    }
+
+    const token = new TextDecoder().decode(plaintext);
+    unlockedVaults.set(accountId, { token, key, params });
+    startAutoLock();
+
+    return token;
+}
+
+/**
+ * Unlock every locked account that shares a passphrase, starting with the active one
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} WRONG_PASSPHRASE if the active account's token can't be decrypted
+ */
+async function unlockAllVaults(passphrase) {
+    await unlockVault(passphrase);
+
+    const others = getAccounts().filter(account => isVaultLocked(account.id));
+    await Promise.all(others.map(account =>
+        unlockVault(passphrase, account.id).catch(() => {
+            // Different passphrase; that account stays locked
+        })
+    ));
+}
+
+/**
+ * Forget all decrypted tokens
+ */
+function lockAllVaults() {
+    unlockedVaults.clear();
+    clearTimeout(autoLockTimer);
+}
+
+/**
+ * Remove an account's encrypted token and its decrypted copy
+ * @param {string} accountId - Account ID
+ */
+function clearVault(accountId) {
+    getAccountStorage(accountId).removeItem(getAccountKey(ENCRYPTED_TOKEN_KEY, accountId));
+    unlockedVaults.delete(accountId);
+}
+
+// ==================== Auto-Lock ====================
+
+/**
+ * Get vault settings
+ * @returns {Object} { auto_lock_minutes }
+ */
+function getVaultSettings() {
+    try {
+        return { ...DEFAULT_VAULT_SETTINGS, ...JSON.parse(localStorage.getItem(VAULT_SETTINGS_KEY)) };
+    } catch (e) {
+        console.error('Failed to parse vault settings:', e);
+        return { ...DEFAULT_VAULT_SETTINGS };
+    }
+}
+
+/**
+ * Update vault settings
+ * @param {Object} settings - Settings to update
+ */
+function updateVaultSettings(settings) {
+    localStorage.setItem(VAULT_SETTINGS_KEY, JSON.stringify({ ...getVaultSettings(), ...settings }));
+}
+
+/**
+ * Restart the idle countdown
+ */
+function resetAutoLockTimer() {
+    clearTimeout(autoLockTimer);
+
+    const minutes = getVaultSettings().auto_lock_minutes;
+    if (!minutes || unlockedVaults.size === 0) {
+        return;
+    }
+
+    autoLockTimer = setTimeout(() => {
+        lockAllVaults();
+        showUnlockScreen();
+    }, minutes * 60 * 1000);
+}
+
+/**
+ * Lock again after the configured idle period
+ */
+function startAutoLock() {
+    if (!autoLockListening) {
+        VAULT_ACTIVITY_EVENTS.forEach(eventName => {
+            document.addEventListener(eventName, resetAutoLockTimer, { passive: true });
+        });
+        autoLockListening = true;
+    }
+
+    resetAutoLockTimer();
+}
+
+// ==================== Unlock Screen ====================
+
+/**
+ * Cover the page with the unlock screen
+ * @param {Function} onUnlock - Optional callback run once the vault is unlocked
+ *                              (e.g., to continue loading the page)
+ */
+function showUnlockScreen(onUnlock = null) {
+    if (onUnlock) {
+        vaultUnlockCallbacks.push(onUnlock);
+    }
+
+    if (document.getElementById('unlock-overlay')) {
+        return;
+    }
+
+    const account = getActiveAccount();
+    const overlay = document.createElement('div');
+    overlay.id = 'unlock-overlay';
+    overlay.className = 'unlock-overlay';
+    overlay.innerHTML = `
+        <form class="unlock-dialog">
+            <h2>🔒 Dashboard locked</h2>
+            <p>Enter your passphrase to unlock the token for ${account ? formatAccountLabel(account) : 'your account'}.</p>
+            <input type="password" class="unlock-input" placeholder="Passphrase" autocomplete="current-password" required>
+            <div class="unlock-error" style="display: none;"></div>
+            <button type="submit" class="unlock-button">Unlock</button>
+            <button type="button" class="unlock-forgot">Forgot passphrase?</button>
+        </form>
+    `;
+
+    const form = overlay.querySelector('form');
+    const input = overlay.querySelector('.unlock-input');
+    const errorEl = overlay.querySelector('.unlock-error');
+    const button = overlay.querySelector('.unlock-button');
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        button.disabled = true;
+        button.textContent = 'Unlocking...';
+        errorEl.style.display = 'none';
+
+        try {
+            await unlockAllVaults(input.value);
+            overlay.remove();
+            vaultUnlockCallbacks.splice(0).forEach(callback => callback());
+        } catch (error) {
+            errorEl.textContent = error.message === 'WRONG_PASSPHRASE'
+                ? 'Wrong passphrase. Please try again.'
+                : 'Failed to unlock. Please try again.';
+            errorEl.style.display = 'block';
+            button.disabled = false;
+            button.textContent = 'Unlock';
+            input.select();
+        }
+    });
+
+    overlay.querySelector('.unlock-forgot').addEventListener('click', async () => {
+        if (confirm('Resetting signs you out of this account and deletes its stored token. Your tracked repositories are kept. Continue?')) {
+            if (!await clearAuth()) {
+                alert(UNREVOKED_TOKEN_MESSAGE);
+            }
+            window.location.href = getActiveAccount() ? 'dashboard.html' : 'auth.html';
+        }
+    });
+
+    document.body.appendChild(overlay);
+    input.focus();
+}